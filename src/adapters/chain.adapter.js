@@ -0,0 +1,70 @@
+/**
+ * Interface every blockchain adapter implements
+ *
+ * The deposit and withdrawal services only talk to a chain through these methods, so a real
+ * node or indexer can replace the mock chain without touching wallet code.
+ * Amounts are bigints of base units (satoshi, wei).
+ */
+class ChainAdapter {
+  /**
+   * Turn derivation bytes into an address of the currency's chain
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {Buffer} seed - 32 bytes unique to the user and currency
+   * @returns {string} - Address
+   */
+  deriveAddress(currency, seed) {
+    throw new Error('ChainAdapter.deriveAddress is not implemented');
+  }
+
+  /**
+   * Current height of the currency's chain
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @returns {Promise<number>} - Block height
+   */
+  async getBlockHeight(currency) {
+    throw new Error('ChainAdapter.getBlockHeight is not implemented');
+  }
+
+  /**
+   * Transfers received by any of the given addresses, with their confirmation counts
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {Array<string>} addresses - Addresses to watch
+   * @returns {Promise<Array<{txHash: string, address: string, amount: bigint, confirmations: number}>>}
+   */
+  async getIncomingTransfers(currency, addresses) {
+    throw new Error('ChainAdapter.getIncomingTransfers is not implemented');
+  }
+
+  /**
+   * Whether a string is a valid address on the currency's chain
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {string} address - Address to check
+   * @returns {boolean}
+   */
+  validateAddress(currency, address) {
+    throw new Error('ChainAdapter.validateAddress is not implemented');
+  }
+
+  /**
+   * Send funds from the house wallet to an address
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {string} address - Receiving address
+   * @param {bigint} amount - Base units
+   * @returns {Promise<{txHash: string}>} - Hash of the broadcast transfer
+   */
+  async sendTransfer(currency, address, amount) {
+    throw new Error('ChainAdapter.sendTransfer is not implemented');
+  }
+
+  /**
+   * Start any background work the adapter needs
+   */
+  start() {}
+
+  /**
+   * Stop background work
+   */
+  stop() {}
+}
+
+module.exports = ChainAdapter;
@@ -0,0 +1,49 @@
+const axios = require('axios');
+const PriceProvider = require('./priceProvider.adapter');
+
+/**
+ * Prices from the CoinGecko simple price API, looked up by each currency's priceFeedId
+ */
+class CoinGeckoPriceProvider extends PriceProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - API base URL
+   * @param {number} options.timeout - Request timeout in milliseconds
+   */
+  constructor({ url, timeout }) {
+    super('coingecko');
+    this.url = url;
+    this.timeout = timeout;
+  }
+
+  async getPrices(currencies) {
+    const listed = currencies.filter(currency => currency.priceFeedId);
+    if (listed.length === 0) {
+      return {};
+    }
+
+    const response = await axios.get(`${this.url}/simple/price`, {
+      params: {
+        ids: listed.map(currency => currency.priceFeedId).join(','),
+        vs_currencies: 'usd',
+        include_last_updated_at: true
+      },
+      timeout: this.timeout
+    });
+
+    const prices = {};
+    for (const currency of listed) {
+      const quote = response.data[currency.priceFeedId];
+      if (!quote || quote.usd === undefined) continue;
+
+      prices[currency.symbol] = {
+        price: Number(quote.usd),
+        timestamp: quote.last_updated_at ? new Date(quote.last_updated_at * 1000) : new Date()
+      };
+    }
+
+    return prices;
+  }
+}
+
+module.exports = CoinGeckoPriceProvider;
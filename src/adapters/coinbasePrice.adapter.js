@@ -0,0 +1,39 @@
+const axios = require('axios');
+const PriceProvider = require('./priceProvider.adapter');
+
+/**
+ * Spot prices from the Coinbase API, looked up by symbol (BTC-USD, ETH-USD)
+ */
+class CoinbasePriceProvider extends PriceProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - API base URL
+   * @param {number} options.timeout - Request timeout in milliseconds
+   */
+  constructor({ url, timeout }) {
+    super('coinbase');
+    this.url = url;
+    this.timeout = timeout;
+  }
+
+  async getPrices(currencies) {
+    // One request per pair; a pair Coinbase doesn't list just goes unpriced
+    const results = await Promise.allSettled(currencies.map(currency => {
+      return axios.get(`${this.url}/prices/${currency.symbol}-USD/spot`, { timeout: this.timeout });
+    }));
+
+    const prices = {};
+    results.forEach((result, index) => {
+      if (result.status !== 'fulfilled') return;
+
+      prices[currencies[index].symbol] = {
+        price: Number(result.value.data.data.amount),
+        timestamp: new Date()
+      };
+    });
+
+    return prices;
+  }
+}
+
+module.exports = CoinbasePriceProvider;
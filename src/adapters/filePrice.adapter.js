@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+const PriceProvider = require('./priceProvider.adapter');
+
+/**
+ * Prices from a local JSON file, for running offline and in tests
+ *
+ * The file maps symbols to a price, or to { price, timestamp } to simulate a
+ * price of a given age: { "BTC": 60000, "ETH": { "price": 3000, "timestamp": "2024-01-01T00:00:00Z" } }.
+ * Prices without a timestamp count as current. The file is read on every
+ * refresh, so editing it moves the price.
+ */
+class FilePriceProvider extends PriceProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - Path to the JSON file
+   */
+  constructor({ file }) {
+    super('file');
+    this.file = path.resolve(file);
+  }
+
+  async getPrices(currencies) {
+    const fixture = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+
+    const prices = {};
+    for (const currency of currencies) {
+      const entry = fixture[currency.symbol];
+      if (entry === undefined || entry === null) continue;
+
+      prices[currency.symbol] = typeof entry === 'object'
+        ? { price: Number(entry.price), timestamp: entry.timestamp ? new Date(entry.timestamp) : new Date() }
+        : { price: Number(entry), timestamp: new Date() };
+    }
+
+    return prices;
+  }
+}
+
+module.exports = FilePriceProvider;
@@ -0,0 +1,59 @@
+const config = require('../config/config');
+const MockChainAdapter = require('./mockChain.adapter');
+const CoinGeckoPriceProvider = require('./coinGeckoPrice.adapter');
+const CoinbasePriceProvider = require('./coinbasePrice.adapter');
+const FilePriceProvider = require('./filePrice.adapter');
+
+// Chain adapters by the name CHAIN_ADAPTER selects them with
+const CHAIN_ADAPTERS = {
+  mock: () => new MockChainAdapter({ blockInterval: config.chain.mockBlockInterval })
+};
+
+// Price providers by the name PRICE_PROVIDERS lists them with
+const PRICE_PROVIDERS = {
+  coingecko: () => new CoinGeckoPriceProvider({ url: config.prices.coinGeckoUrl, timeout: config.prices.requestTimeout }),
+  coinbase: () => new CoinbasePriceProvider({ url: config.prices.coinbaseUrl, timeout: config.prices.requestTimeout }),
+  file: () => new FilePriceProvider({ file: config.prices.file })
+};
+
+let chainAdapter = null;
+let priceProviders = null;
+
+/**
+ * Get the configured chain adapter, shared by everything that talks to a chain
+ * @returns {Object} - Chain adapter
+ */
+const getChainAdapter = () => {
+  if (!chainAdapter) {
+    const create = CHAIN_ADAPTERS[config.chain.adapter];
+    if (!create) {
+      throw new Error(`Unknown chain adapter: ${config.chain.adapter}`);
+    }
+    chainAdapter = create();
+  }
+
+  return chainAdapter;
+};
+
+/**
+ * Get the configured price providers, in configuration order
+ * @returns {Array<Object>} - Price providers
+ */
+const getPriceProviders = () => {
+  if (!priceProviders) {
+    priceProviders = config.prices.providers.map(name => {
+      const create = PRICE_PROVIDERS[name];
+      if (!create) {
+        throw new Error(`Unknown price provider: ${name}`);
+      }
+      return create();
+    });
+  }
+
+  return priceProviders;
+};
+
+module.exports = {
+  getChainAdapter,
+  getPriceProviders
+};
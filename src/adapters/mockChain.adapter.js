@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const ChainAdapter = require('./chain.adapter');
+
+/**
+ * In-memory chain per currency for local development and testing
+ *
+ * Transfers wait in a mempool until the next block is mined; a transfer mined
+ * at height h has (height - h + 1) confirmations. Blocks are mined on demand,
+ * or on a timer when a block interval is set. The chain lives in memory only
+ * and starts over when the process restarts.
+ */
+class MockChainAdapter extends ChainAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.blockInterval] - Milliseconds between blocks, 0 to mine only on demand
+   */
+  constructor({ blockInterval = 0 } = {}) {
+    super();
+    this.blockInterval = blockInterval;
+    this.blockTimer = null;
+    this.chains = {}; // { height, transfers: [{ txHash, address, amount, blockHeight }] } per currency
+  }
+
+  /**
+   * Get the in-memory chain of a currency, creating it on first use
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @returns {Object} - Chain state
+   */
+  chain(currency) {
+    if (!this.chains[currency]) {
+      this.chains[currency] = { height: 0, transfers: [] };
+    }
+    return this.chains[currency];
+  }
+
+  deriveAddress(currency, seed) {
+    const hex = seed.toString('hex');
+
+    // Shaped like the real thing; regtest prefix so it can't be mistaken for a mainnet address
+    if (currency === 'ETH') {
+      return `0x${hex.slice(0, 40)}`;
+    }
+    return `bcrt1q${hex.slice(0, 38)}`;
+  }
+
+  validateAddress(currency, address) {
+    if (typeof address !== 'string') {
+      return false;
+    }
+    if (currency === 'ETH') {
+      return /^0x[0-9a-fA-F]{40}$/.test(address);
+    }
+    // Bech32-style (mainnet, testnet, regtest; the mock's own addresses are hex) or legacy base58 addresses
+    return /^(bc1|tb1|bcrt1)[0-9a-z]{11,71}$/.test(address) || /^[123mn][1-9A-HJ-NP-Za-km-z]{25,34}$/.test(address);
+  }
+
+  async sendTransfer(currency, address, amount) {
+    const transfer = this.simulateTransfer(currency, address, amount);
+    return { txHash: transfer.txHash };
+  }
+
+  async getBlockHeight(currency) {
+    return this.chain(currency).height;
+  }
+
+  async getIncomingTransfers(currency, addresses) {
+    const chain = this.chain(currency);
+    const watched = new Set(addresses);
+
+    return chain.transfers
+      .filter(transfer => watched.has(transfer.address))
+      .map(transfer => ({
+        txHash: transfer.txHash,
+        address: transfer.address,
+        amount: transfer.amount,
+        confirmations: transfer.blockHeight === null ? 0 : chain.height - transfer.blockHeight + 1
+      }));
+  }
+
+  /**
+   * Send a transfer to an address; it waits in the mempool until the next block
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {string} address - Receiving address
+   * @param {bigint} amount - Base units
+   * @returns {Object} - The transfer
+   */
+  simulateTransfer(currency, address, amount) {
+    if (typeof amount !== 'bigint' || amount <= 0n) {
+      throw new Error('Invalid amount');
+    }
+
+    const transfer = {
+      txHash: crypto.randomBytes(32).toString('hex'),
+      address,
+      amount,
+      blockHeight: null
+    };
+    this.chain(currency).transfers.push(transfer);
+
+    return transfer;
+  }
+
+  /**
+   * Mine blocks; the first one includes every transfer in the mempool
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {number} [count] - Blocks to mine
+   * @returns {number} - New block height
+   */
+  mineBlocks(currency, count = 1) {
+    const chain = this.chain(currency);
+
+    for (let i = 0; i < count; i++) {
+      chain.height++;
+      for (const transfer of chain.transfers) {
+        if (transfer.blockHeight === null) {
+          transfer.blockHeight = chain.height;
+        }
+      }
+    }
+
+    return chain.height;
+  }
+
+  start() {
+    if (this.blockInterval > 0 && !this.blockTimer) {
+      this.blockTimer = setInterval(() => {
+        for (const currency of Object.keys(this.chains)) {
+          this.mineBlocks(currency);
+        }
+      }, this.blockInterval);
+    }
+  }
+
+  stop() {
+    if (this.blockTimer) {
+      clearInterval(this.blockTimer);
+      this.blockTimer = null;
+    }
+  }
+}
+
+module.exports = MockChainAdapter;
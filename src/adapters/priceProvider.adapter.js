@@ -0,0 +1,26 @@
+/**
+ * Interface every price provider implements
+ *
+ * The price oracle asks every configured provider for the same currencies and
+ * aggregates their answers, so a provider only has to report what it knows.
+ * Prices are USD per whole coin.
+ */
+class PriceProvider {
+  /**
+   * @param {string} name - Name the provider is configured and reported by
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Latest prices of the given currencies; currencies the provider can't price are left out
+   * @param {Array<Object>} currencies - Currency registry entries
+   * @returns {Promise<Object>} - { [symbol]: { price: number, timestamp: Date } }
+   */
+  async getPrices(currencies) {
+    throw new Error('PriceProvider.getPrices is not implemented');
+  }
+}
+
+module.exports = PriceProvider;
@@ -13,18 +13,126 @@ module.exports = {
     expiresIn: '24h'
   },
   
-  // Crypto API Configuration
-  cryptoApi: {
+  // Price Oracle Configuration
+  prices: {
+    // Providers asked for every price, by adapter name; PRICE_PROVIDERS takes a comma-separated list
+    providers: (process.env.PRICE_PROVIDERS || 'coingecko,coinbase').split(',').map(name => name.trim()).filter(Boolean),
     coinGeckoUrl: process.env.COINGECKO_API_URL || 'https://api.coingecko.com/api/v3',
-    supportedCurrencies: ['BTC', 'ETH']
+    coinbaseUrl: process.env.COINBASE_API_URL || 'https://api.coinbase.com/v2',
+    file: process.env.PRICE_FILE || 'fixtures/prices.json', // Read by the file provider, relative to the working directory
+    requestTimeout: parseInt(process.env.PRICE_REQUEST_TIMEOUT) || 5000, // Milliseconds before a provider request is abandoned
+    cacheTtl: parseInt(process.env.PRICE_CACHE_TTL) || 10, // Seconds between provider refreshes
+    maxAge: parseInt(process.env.PRICE_MAX_AGE) || 120, // Seconds after which a price is too stale to bet with
+    maxDeviation: parseFloat(process.env.PRICE_MAX_DEVIATION) || 0.02, // Quotes further than this share from the median are dropped
+    minProviders: parseInt(process.env.PRICE_MIN_PROVIDERS) || 1, // Agreeing quotes a price needs
+    // Price history retention in days; raw samples are downsampled into candles of each interval
+    sampleRetention: parseInt(process.env.PRICE_SAMPLE_RETENTION_DAYS) || 7,
+    candleRetention: {
+      '1m': parseInt(process.env.PRICE_CANDLE_RETENTION_1M_DAYS) || 2,
+      '1h': parseInt(process.env.PRICE_CANDLE_RETENTION_1H_DAYS) || 90,
+      '1d': parseInt(process.env.PRICE_CANDLE_RETENTION_1D_DAYS) || 1825
+    }
+  },
+  
+  // Currency Registry
+  // Every currency the platform handles; adding an entry is all a new currency needs.
+  // CURRENCIES takes a JSON array in the same shape. Amounts are in whole coins.
+  // Disabled currencies keep their balances but take no new bets, deposits, swaps or withdrawals.
+  currencies: process.env.CURRENCIES ? JSON.parse(process.env.CURRENCIES) : [
+    {
+      symbol: 'BTC',
+      name: 'Bitcoin',
+      decimals: 8, // Amounts are stored as integers of the base unit (satoshi)
+      priceFeedId: 'bitcoin', // CoinGecko coin id; other price providers go by the symbol
+      enabled: true,
+      minBet: 0.00001,
+      maxBet: 0.01,
+      maxProfit: 0.05, // Most one bet can win
+      bankroll: parseFloat(process.env.HOUSE_BANKROLL_BTC) || 10, // Starting house bankroll; the house's game and swap ledger balances are added to it
+      openingBalance: process.env.OPENING_BALANCE_BTC !== undefined ? parseFloat(process.env.OPENING_BALANCE_BTC) : 0.001, // Test funds for new wallets
+      depositConfirmations: parseInt(process.env.DEPOSIT_CONFIRMATIONS_BTC) || 3,
+      withdrawal: { minAmount: 0.0001, maxAmount: 0.5, maxDaily: 1 } // maxDaily covers the last 24 hours
+    },
+    {
+      symbol: 'ETH',
+      name: 'Ethereum',
+      decimals: 18, // wei
+      priceFeedId: 'ethereum',
+      enabled: true,
+      minBet: 0.0001,
+      maxBet: 0.2,
+      maxProfit: 1,
+      bankroll: parseFloat(process.env.HOUSE_BANKROLL_ETH) || 150,
+      openingBalance: process.env.OPENING_BALANCE_ETH !== undefined ? parseFloat(process.env.OPENING_BALANCE_ETH) : 0.01,
+      depositConfirmations: parseInt(process.env.DEPOSIT_CONFIRMATIONS_ETH) || 12,
+      withdrawal: { minAmount: 0.001, maxAmount: 10, maxDaily: 20 }
+    }
+  ],
+  
+  // Chain Configuration
+  chain: {
+    // Adapter that talks to the blockchains; 'mock' runs an in-memory chain per currency
+    adapter: process.env.CHAIN_ADAPTER || 'mock',
+    // Milliseconds between blocks on the mock chain, 0 to mine only on demand
+    mockBlockInterval: parseInt(process.env.MOCK_CHAIN_BLOCK_INTERVAL) || 0
+  },
+  
+  // Deposit Configuration
+  deposits: {
+    // Secret deposit addresses are derived from; changing it changes every address
+    addressSecret: process.env.DEPOSIT_ADDRESS_SECRET || 'your_deposit_address_secret_here',
+    pollInterval: parseInt(process.env.DEPOSIT_POLL_INTERVAL) || 5000 // Chain polling interval in milliseconds
+  },
+  
+  // Swap Configuration
+  swap: {
+    spread: process.env.SWAP_SPREAD !== undefined ? parseFloat(process.env.SWAP_SPREAD) : 0.01, // Share kept by the house on every swap
+    quoteTtl: parseInt(process.env.SWAP_QUOTE_TTL) || 10 // Seconds a swap quote stays valid
+  },
+  
+  // Ledger Configuration
+  ledger: {
+    // Write balance changes without multi-document transactions on a standalone MongoDB server.
+    // Only for local development: a crash between writes can leave a balance without its journal.
+    allowNonTransactional: process.env.LEDGER_ALLOW_NON_TRANSACTIONAL === 'true'
+  },
+  
+  // Bet Quote Configuration
+  betQuotes: {
+    // Secret bet quotes are signed with; changing it invalidates every open quote
+    secret: process.env.BET_QUOTE_SECRET || 'your_bet_quote_secret_here',
+    ttl: parseInt(process.env.BET_QUOTE_TTL) || 10 // Seconds a bet quote stays valid
   },
   
   // Game Configuration
   game: {
     roundInterval: parseInt(process.env.GAME_ROUND_INTERVAL) || 10000, // 10 seconds
-    multiplierUpdateInterval: parseInt(process.env.MULTIPLIER_UPDATE_INTERVAL) || 100, // 100ms
-    maxCrashValue: parseInt(process.env.MAX_CRASH_VALUE) || 100, // 100x
-    growthFactor: 0.00005, // Controls how fast the multiplier grows
-    initialMultiplier: 1.0
+    multiplierUpdateInterval: parseInt(process.env.MULTIPLIER_UPDATE_INTERVAL) || 1000, // Sync tick every 1s
+    maxCrashValue: parseFloat(process.env.MAX_CRASH_VALUE) || 100, // 100x cap on crash points
+    houseEdge: process.env.HOUSE_EDGE !== undefined ? parseFloat(process.env.HOUSE_EDGE) : 0.01, // 1% house edge
+    instantCrashRate: parseFloat(process.env.INSTANT_CRASH_RATE) || 0, // Extra share of rounds busting at 1.00x
+    growthRate: parseFloat(process.env.MULTIPLIER_GROWTH_RATE) || 0.00006, // multiplier = e^(growthRate * ms)
+    initialMultiplier: 1.0,
+    waitingTime: 7, // Seconds between a crash and the next betting phase
+    bettingTime: 3, // Seconds the betting phase stays open
+    minAutoCashout: 1.01, // Lowest auto cashout target a bet may set
+    maxVerifyRange: 1000, // Most rounds a single range verification may cover
+    // Bet limits come from the currency registry; a table may override them with
+    // limits: { BTC: { minBet, maxBet, maxProfit } }
+    maxRoundExposure: 0.01, // Share of the house bankroll one round may lose per currency
+    maxOpenExposure: 0.02, // Share of the house bankroll the open rounds of all tables together may lose; not per table
+    provablyFair: {
+      chainLength: parseInt(process.env.PROVABLY_FAIR_CHAIN_LENGTH) || 10000, // Rounds per seed chain
+      clientSeed: process.env.PROVABLY_FAIR_CLIENT_SEED || '' // Public salt mixed into every round; required in production
+    },
+    // Tables each run their own loop; any game setting above can be overridden per table.
+    // GAME_TABLES takes a JSON array in the same shape.
+    defaultTableId: 'main',
+    tables: process.env.GAME_TABLES ? JSON.parse(process.env.GAME_TABLES) : [
+      { id: 'main', name: 'Main' },
+      { id: 'high-roller', name: 'High Roller', maxCrashValue: 1000 },
+      { id: 'fast', name: 'Fast Rounds', waitingTime: 3, bettingTime: 2, growthRate: 0.00012 },
+      { id: 'low-cap', name: 'Low Cap', maxCrashValue: 10 }
+    ]
   }
 };
\ No newline at end of file
@@ -0,0 +1,347 @@
+const auditService = require('../services/audit.service');
+const ledgerService = require('../services/ledger.service');
+const depositService = require('../services/deposit.service');
+const withdrawalService = require('../services/withdrawal.service');
+const { GameError } = require('../utils/errors');
+
+/**
+ * Run an admin action on the requested table and write it to the audit log
+ * with its outcome
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} action - Audit action name
+ * @param {Function} perform - Performs the action on the game service
+ * @param {string} message - Response message on success
+ * @param {Object} [details] - Extra context to record with the action
+ */
+const runTableAction = async (req, res, action, perform, message, details = {}) => {
+  const gameService = req.gameService;
+  if (!gameService) {
+    return res.status(500).json({ message: 'Game service not available' });
+  }
+  
+  // The table as the admin found it
+  const before = {
+    phase: gameService.roundPhase,
+    roundNumber: gameService.currentRound ? gameService.currentRound.roundNumber : null
+  };
+  
+  let result;
+  let failure = null;
+  try {
+    result = await perform(gameService);
+  } catch (error) {
+    failure = error;
+  }
+  
+  // Attempts that fail or change nothing are recorded too
+  try {
+    await auditService.record({
+      actor: req.user,
+      action,
+      tableId: gameService.tableId,
+      details: {
+        ...before,
+        ...details,
+        outcome: failure ? 'failed' : 'succeeded',
+        ...(failure
+          ? { error: { message: failure.message, code: failure.code || null } }
+          : { result: result || null })
+      },
+      ip: req.ip
+    });
+  } catch (error) {
+    // The action has already run, so its response is still sent
+    console.error(`Error recording admin action ${action} on table ${gameService.tableId}:`, error);
+  }
+  
+  if (!failure) {
+    return res.status(200).json({ message, tableId: gameService.tableId, ...(result ? { result } : {}) });
+  }
+  
+  // Actions that would change nothing, e.g. pausing a round that is not running
+  if (failure instanceof GameError) {
+    return res.status(failure.statusCode).json({ message: failure.message, code: failure.code });
+  }
+  
+  console.error(`Admin action ${action} error:`, failure);
+  
+  if (failure.name === 'MongooseError' || failure.name === 'MongoError') {
+    return res.status(503).json({ message: 'Database service unavailable. Please try again later.' });
+  }
+  
+  res.status(500).json({ message: `Failed to run ${action}` });
+};
+
+/**
+ * Pause the game
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const pauseGame = (req, res) => runTableAction(req, res, 'game.pause', gameService => gameService.pauseGame(), 'Game paused');
+
+/**
+ * Resume the game
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const resumeGame = (req, res) => runTableAction(req, res, 'game.resume', gameService => gameService.resumeGame(), 'Game resumed');
+
+/**
+ * Stop the game
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const stopGame = (req, res) => runTableAction(req, res, 'game.stop', gameService => gameService.stopGame(), 'Game stopped');
+
+/**
+ * Start a new game
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const startNewGame = (req, res) => runTableAction(req, res, 'game.start', gameService => gameService.startNewGame(), 'New game started');
+
+/**
+ * Void the current round, refunding every bet that has not cashed out
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const voidRound = (req, res) => {
+  const reason = (req.body && req.body.reason) || 'admin_void';
+  
+  if (typeof reason !== 'string' || reason.length > 200) {
+    return res.status(400).json({ message: 'Reason must be a string of at most 200 characters' });
+  }
+  
+  return runTableAction(req, res, 'game.void', gameService => gameService.voidRound(reason), 'Round voided', { reason });
+};
+
+/**
+ * Get the admin audit log
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAuditLogs = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const { action, actorId, tableId } = req.query;
+    
+    // Check if MongoDB is connected
+    const isMongoConnected = require('mongoose').connection.readyState === 1;
+    if (!isMongoConnected) {
+      return res.status(503).json({ message: 'Database service unavailable. Please try again later.' });
+    }
+    
+    if (actorId !== undefined && !require('mongoose').isValidObjectId(actorId)) {
+      return res.status(400).json({ message: 'Invalid actorId' });
+    }
+    
+    const logs = await auditService.getAuditLogs({ action, actorId, tableId }, limit);
+    res.status(200).json(logs);
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({ message: 'Failed to get audit logs' });
+  }
+};
+
+/**
+ * Reconcile wallet balances against the ledger
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const reconcileLedger = async (req, res) => {
+  try {
+    // Check if MongoDB is connected
+    const isMongoConnected = require('mongoose').connection.readyState === 1;
+    if (!isMongoConnected) {
+      return res.status(503).json({ message: 'Database service unavailable. Please try again later.' });
+    }
+    
+    const { userId } = req.query;
+    if (userId !== undefined && !require('mongoose').isValidObjectId(userId)) {
+      return res.status(400).json({ message: 'Invalid userId' });
+    }
+    
+    const report = await ledgerService.reconcile({ userId });
+    res.status(200).json(report);
+  } catch (error) {
+    console.error('Reconcile ledger error:', error);
+    res.status(500).json({ message: 'Failed to reconcile ledger' });
+  }
+};
+
+/**
+ * Run an action on the simulated chain and write it to the audit log
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} action - Audit action name
+ * @param {Function} perform - Performs the action for the currency
+ * @param {Object} [details] - Extra context to record with the action
+ */
+const runChainAction = async (req, res, action, perform, details = {}) => {
+  try {
+    const currency = req.params.currency.toUpperCase();
+    
+    // Check if MongoDB is connected
+    const isMongoConnected = require('mongoose').connection.readyState === 1;
+    if (!isMongoConnected) {
+      return res.status(503).json({ message: 'Database service unavailable. Please try again later.' });
+    }
+    
+    await auditService.record({
+      actor: req.user,
+      action,
+      details: { currency, ...details },
+      ip: req.ip
+    });
+    
+    const result = await perform(currency);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error(`Admin action ${action} error:`, error);
+    
+    if (error.message.includes('Unsupported currency') || error.message.includes('Invalid amount') || error.message.includes('cannot simulate')) {
+      return res.status(400).json({ message: error.message });
+    }
+    
+    res.status(500).json({ message: `Failed to run ${action}` });
+  }
+};
+
+/**
+ * Send a transfer to an address on the simulated chain
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const simulateChainTransfer = (req, res) => {
+  const { address, amount } = req.body || {};
+  
+  if (!address || typeof address !== 'string' || amount === undefined) {
+    return res.status(400).json({ message: 'Address and amount are required' });
+  }
+  
+  return runChainAction(req, res, 'chain.transfer', currency => depositService.simulateTransfer(currency, address, amount), { address, amount: String(amount) });
+};
+
+/**
+ * Mine blocks on the simulated chain
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const mineChainBlocks = (req, res) => {
+  const count = req.body && req.body.count !== undefined ? parseInt(req.body.count) : 1;
+  
+  if (!Number.isInteger(count) || count < 1 || count > 1000) {
+    return res.status(400).json({ message: 'Count must be an integer between 1 and 1000' });
+  }
+  
+  return runChainAction(req, res, 'chain.mine', currency => depositService.mineBlocks(currency, count), { count });
+};
+
+/**
+ * List withdrawals for review, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getWithdrawals = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const { status = 'pending', userId } = req.query;
+    
+    // Check if MongoDB is connected
+    const isMongoConnected = require('mongoose').connection.readyState === 1;
+    if (!isMongoConnected) {
+      return res.status(503).json({ message: 'Database service unavailable. Please try again later.' });
+    }
+    
+    // status=all lists every withdrawal
+    const withdrawals = await withdrawalService.getWithdrawals({ userId, status: status === 'all' ? undefined : status }, limit);
+    res.status(200).json(withdrawals);
+  } catch (error) {
+    console.error('Get withdrawals error:', error);
+    res.status(500).json({ message: 'Failed to get withdrawals' });
+  }
+};
+
+/**
+ * Review a withdrawal and write the decision to the audit log
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} action - Audit action name
+ * @param {Function} perform - Performs the review for the withdrawal ID
+ * @param {Object} [details] - Extra context to record with the action
+ */
+const runWithdrawalAction = async (req, res, action, perform, details = {}) => {
+  try {
+    const { withdrawalId } = req.params;
+    
+    // Check if MongoDB is connected
+    const isMongoConnected = require('mongoose').connection.readyState === 1;
+    if (!isMongoConnected) {
+      return res.status(503).json({ message: 'Database service unavailable. Please try again later.' });
+    }
+    
+    if (!require('mongoose').isValidObjectId(withdrawalId)) {
+      return res.status(404).json({ message: 'Withdrawal not found' });
+    }
+    
+    await auditService.record({
+      actor: req.user,
+      action,
+      details: { withdrawalId, ...details },
+      ip: req.ip
+    });
+    
+    const withdrawal = await perform(withdrawalId);
+    res.status(200).json(withdrawal);
+  } catch (error) {
+    console.error(`Admin action ${action} error:`, error);
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ message: error.message });
+    }
+    
+    if (error.message.includes('is not pending')) {
+      return res.status(409).json({ message: error.message });
+    }
+    
+    res.status(500).json({ message: `Failed to run ${action}` });
+  }
+};
+
+/**
+ * Approve a withdrawal and send it to the chain
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const approveWithdrawal = (req, res) => runWithdrawalAction(req, res, 'withdrawal.approve', withdrawalId => withdrawalService.approveWithdrawal(withdrawalId, req.user));
+
+/**
+ * Reject a withdrawal and return its funds
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rejectWithdrawal = (req, res) => {
+  const reason = (req.body && req.body.reason) || null;
+  
+  if (reason !== null && (typeof reason !== 'string' || reason.length > 200)) {
+    return res.status(400).json({ message: 'Reason must be a string of at most 200 characters' });
+  }
+  
+  return runWithdrawalAction(req, res, 'withdrawal.reject', withdrawalId => withdrawalService.rejectWithdrawal(withdrawalId, req.user, reason), { reason });
+};
+
+module.exports = {
+  pauseGame,
+  resumeGame,
+  stopGame,
+  startNewGame,
+  voidRound,
+  getAuditLogs,
+  reconcileLedger,
+  simulateChainTransfer,
+  mineChainBlocks,
+  getWithdrawals,
+  approveWithdrawal,
+  rejectWithdrawal
+};
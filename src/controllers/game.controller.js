@@ -1,4 +1,4 @@
-const GameService = require('../services/game.service');
+const { GameError } = require('../utils/errors');
 
 /**
  * Place a bet
@@ -7,20 +7,28 @@ const GameService = require('../services/game.service');
  */
 const placeBet = async (req, res) => {
   try {
-    const { usdAmount, currency } = req.body;
+    const { usdAmount, currency, autoCashoutAt, quoteId } = req.body;
     const userId = req.user._id;
     
-    // Validate input
-    if (!usdAmount || !currency) {
-      return res.status(400).json({ message: 'USD amount and currency are required' });
+    // Validate input; a quote carries the amount and currency itself
+    if (!quoteId && (!usdAmount || !currency)) {
+      return res.status(400).json({ message: 'USD amount and currency, or a quote ID, are required' });
+    }
+    
+    if (quoteId !== undefined && typeof quoteId !== 'string') {
+      return res.status(400).json({ message: 'Quote ID must be a string' });
+    }
+    
+    if (usdAmount !== undefined && usdAmount !== null && !(Number.isFinite(Number(usdAmount)) && Number(usdAmount) > 0)) {
+      return res.status(400).json({ message: 'Bet amount must be greater than 0', code: 'INVALID_BET' });
     }
     
-    if (usdAmount <= 0) {
-      return res.status(400).json({ message: 'Bet amount must be greater than 0' });
+    if (autoCashoutAt !== undefined && autoCashoutAt !== null && !Number.isFinite(Number(autoCashoutAt))) {
+      return res.status(400).json({ message: 'Auto cashout must be a number', code: 'INVALID_AUTO_CASHOUT' });
     }
     
-    // Get game service instance
-    const gameService = req.app.get('gameService');
+    // Get the game service of the requested table
+    const gameService = req.gameService;
     
     if (!gameService) {
       return res.status(500).json({ message: 'Game service not available' });
@@ -28,11 +36,16 @@ const placeBet = async (req, res) => {
     
     try {
       // Place bet
-      const result = await gameService.placeBet(userId.toString(), usdAmount, currency);
+      const result = await gameService.placeBet(userId.toString(), usdAmount, currency, autoCashoutAt, quoteId);
       res.status(200).json(result);
     } catch (dbError) {
       console.error('Database error when placing bet:', dbError);
       
+      // Rejected bets carry a code the client can act on
+      if (dbError instanceof GameError) {
+        return res.status(dbError.statusCode).json({ message: dbError.message, code: dbError.code });
+      }
+      
       if (dbError.message.includes('Insufficient')) {
         return res.status(400).json({ message: dbError.message });
       }
@@ -55,31 +68,76 @@ const placeBet = async (req, res) => {
 };
 
 /**
- * Cash out
+ * Quote a bet, locking the price it will be placed at for a few seconds
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const cashOut = async (req, res) => {
+const quoteBet = async (req, res) => {
   try {
+    const { usdAmount, currency } = req.body;
     const userId = req.user._id;
-    // Get game service instance
-    let gameService = req.app.get('gameService');
+    
+    // Validate input
+    if (!usdAmount || !currency) {
+      return res.status(400).json({ message: 'USD amount and currency are required' });
+    }
+    
+    if (!(Number.isFinite(Number(usdAmount)) && Number(usdAmount) > 0)) {
+      return res.status(400).json({ message: 'Bet amount must be greater than 0', code: 'INVALID_BET' });
+    }
+    
+    // Get the game service of the requested table
+    const gameService = req.gameService;
+    
     if (!gameService) {
-      console.error('gameService not found on app, using fallback singleton');
-      gameService = GameService;
+      return res.status(500).json({ message: 'Game service not available' });
     }
+    
+    try {
+      const quote = await gameService.quoteBet(userId.toString(), usdAmount, currency);
+      res.status(200).json({ quote });
+    } catch (quoteError) {
+      if (quoteError instanceof GameError) {
+        return res.status(quoteError.statusCode).json({ message: quoteError.message, code: quoteError.code });
+      }
+      
+      throw quoteError; // Re-throw for the outer catch block
+    }
+  } catch (error) {
+    console.error('Quote bet error:', error);
+    res.status(500).json({ message: 'Failed to quote bet' });
+  }
+};
+
+/**
+ * Cash out
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const cashOut = async (req, res) => {
+  // Cashouts are priced at the moment the request arrived, not when it is processed
+  const receivedAt = Date.now();
+  
+  try {
+    const userId = req.user._id;
+    // Get the game service of the requested table
+    const gameService = req.gameService;
     if (!gameService) {
       return res.status(500).json({ message: 'Game service not available' });
     }
     try {
       // Cash out
-      const result = await gameService.cashOut(userId.toString());
+      const result = await gameService.cashOut(userId.toString(), receivedAt);
       res.status(200).json(result);
     } catch (dbError) {
       console.error('Database error when cashing out:', dbError);
+      if (dbError instanceof GameError) {
+        return res.status(dbError.statusCode).json({ message: dbError.message, code: dbError.code });
+      }
       if (dbError.message.includes('No active round') || 
           dbError.message.includes('No active bet') ||
-          dbError.message.includes('already cashed out')) {
+          dbError.message.includes('already cashed out') ||
+          dbError.message.includes('already crashed')) {
         return res.status(400).json({ message: dbError.message });
       }
       if (dbError.name === 'MongooseError' || dbError.name === 'MongoError') {
@@ -93,6 +151,40 @@ const cashOut = async (req, res) => {
   }
 };
 
+/**
+ * Cancel a bet during the betting phase
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const cancelBet = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    // Get the game service of the requested table
+    const gameService = req.gameService;
+    if (!gameService) {
+      return res.status(500).json({ message: 'Game service not available' });
+    }
+    try {
+      // Cancel bet and refund the stake
+      const result = await gameService.cancelBet(userId.toString());
+      res.status(200).json(result);
+    } catch (dbError) {
+      console.error('Database error when cancelling bet:', dbError);
+      if (dbError.message.includes('Cannot cancel bet') ||
+          dbError.message.includes('No active bet')) {
+        return res.status(400).json({ message: dbError.message });
+      }
+      if (dbError.name === 'MongooseError' || dbError.name === 'MongoError') {
+        return res.status(503).json({ message: 'Database service unavailable. Please try again later.' });
+      }
+      throw dbError; // Re-throw for the outer catch block
+    }
+  } catch (error) {
+    console.error('Cancel bet error:', error);
+    res.status(500).json({ message: 'Failed to cancel bet' });
+  }
+};
+
 /**
  * Get current game state
  * @param {Object} req - Express request object
@@ -100,8 +192,8 @@ const cashOut = async (req, res) => {
  */
 const getGameState = async (req, res) => {
   try {
-    // Get game service instance
-    const gameService = req.app.get('gameService');
+    // Get the game service of the requested table
+    const gameService = req.gameService;
     
     if (!gameService) {
       return res.status(500).json({ message: 'Game service not available' });
@@ -133,8 +225,8 @@ const getGameHistory = async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
     
-    // Get game service instance
-    const gameService = req.app.get('gameService');
+    // Get the game service of the requested table
+    const gameService = req.gameService;
     
     if (!gameService) {
       return res.status(500).json({ message: 'Game service not available' });
@@ -156,52 +248,113 @@ const getGameHistory = async (req, res) => {
 };
 
 /**
- * Admin: Pause the game
- */
-const pauseGame = (req, res) => {
-  const gameService = req.app.get('gameService');
-  if (!gameService) return res.status(500).json({ message: 'Game service not available' });
-  gameService.pauseGame();
-  res.status(200).json({ message: 'Game paused' });
-};
-
-/**
- * Admin: Resume the game
+ * List game tables
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
  */
-const resumeGame = (req, res) => {
-  const gameService = req.app.get('gameService');
-  if (!gameService) return res.status(500).json({ message: 'Game service not available' });
-  gameService.resumeGame();
-  res.status(200).json({ message: 'Game resumed' });
+const getTables = (req, res) => {
+  const tableManager = req.app.get('tableManager');
+  if (!tableManager) return res.status(500).json({ message: 'Game service not available' });
+  res.status(200).json(tableManager.list());
 };
 
 /**
- * Admin: Stop the game
+ * Verify a completed round
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
  */
-const stopGame = (req, res) => {
-  const gameService = req.app.get('gameService');
-  if (!gameService) return res.status(500).json({ message: 'Game service not available' });
-  gameService.stopGame();
-  res.status(200).json({ message: 'Game stopped' });
+const verifyRound = async (req, res) => {
+  try {
+    const roundNumber = parseInt(req.params.roundNumber);
+    
+    if (isNaN(roundNumber)) {
+      return res.status(400).json({ message: 'Round number must be a number' });
+    }
+    
+    // Get the game service of the requested table
+    const gameService = req.gameService;
+    
+    if (!gameService) {
+      return res.status(500).json({ message: 'Game service not available' });
+    }
+    
+    try {
+      const verification = await gameService.verifyRound(roundNumber);
+      res.status(200).json(verification);
+    } catch (dbError) {
+      if (dbError.message.includes('Round not found')) {
+        return res.status(404).json({ message: dbError.message });
+      }
+      
+      if (dbError.message.includes('still in progress')) {
+        return res.status(409).json({ message: dbError.message });
+      }
+      
+      if (dbError.message.includes('was voided')) {
+        return res.status(422).json({ message: dbError.message });
+      }
+      
+      if (dbError.name === 'MongooseError' || dbError.name === 'MongoError') {
+        return res.status(503).json({ message: 'Database service unavailable. Please try again later.' });
+      }
+      
+      throw dbError; // Re-throw for the outer catch block
+    }
+  } catch (error) {
+    console.error('Verify round error:', error);
+    res.status(500).json({ message: 'Failed to verify round' });
+  }
 };
 
 /**
- * Admin: Start a new game
+ * Verify a range of completed rounds
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
  */
-const startNewGame = (req, res) => {
-  const gameService = req.app.get('gameService');
-  if (!gameService) return res.status(500).json({ message: 'Game service not available' });
-  gameService.startNewGame();
-  res.status(200).json({ message: 'New game started' });
+const verifyRounds = async (req, res) => {
+  try {
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+    
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ message: 'Query parameters from and to are required' });
+    }
+    
+    // Get the game service of the requested table
+    const gameService = req.gameService;
+    
+    if (!gameService) {
+      return res.status(500).json({ message: 'Game service not available' });
+    }
+    
+    try {
+      const result = await gameService.verifyRounds(from, to);
+      res.status(200).json(result);
+    } catch (dbError) {
+      if (dbError.message.includes('Invalid round range')) {
+        return res.status(400).json({ message: dbError.message });
+      }
+      
+      if (dbError.name === 'MongooseError' || dbError.name === 'MongoError') {
+        return res.status(503).json({ message: 'Database service unavailable. Please try again later.' });
+      }
+      
+      throw dbError; // Re-throw for the outer catch block
+    }
+  } catch (error) {
+    console.error('Verify rounds error:', error);
+    res.status(500).json({ message: 'Failed to verify rounds' });
+  }
 };
 
 module.exports = {
   placeBet,
+  quoteBet,
   cashOut,
+  cancelBet,
   getGameState,
   getGameHistory,
-  pauseGame,
-  resumeGame,
-  stopGame,
-  startNewGame
+  getTables,
+  verifyRound,
+  verifyRounds
 };
\ No newline at end of file
@@ -0,0 +1,30 @@
+const statsService = require('../services/stats.service');
+
+/**
+ * Get the current user's statistics
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getMyStats = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    
+    // Check if MongoDB is connected
+    const isMongoConnected = require('mongoose').connection.readyState === 1;
+    if (!isMongoConnected) {
+      return res.status(503).json({ message: 'Database service unavailable. Please try again later.' });
+    }
+    
+    // Get statistics
+    const stats = await statsService.getUserStats(userId);
+    
+    res.status(200).json(stats);
+  } catch (error) {
+    console.error('Get user stats error:', error);
+    res.status(500).json({ message: 'Failed to get statistics' });
+  }
+};
+
+module.exports = {
+  getMyStats
+};
@@ -1,5 +1,15 @@
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const walletService = require('../services/wallet.service');
 const cryptoService = require('../services/crypto.service');
+const depositService = require('../services/deposit.service');
+const withdrawalService = require('../services/withdrawal.service');
+const swapService = require('../services/swap.service');
+const priceHistoryService = require('../services/priceHistory.service');
+const currencies = require('../utils/currencies');
+const amount = require('../utils/amount');
+const csv = require('../utils/csv');
+const { PriceUnavailableError } = require('../utils/errors');
 
 /**
  * Get user's wallet
@@ -20,26 +30,389 @@ const getWallet = async (req, res) => {
   }
 };
 
+// Columns of the CSV transaction export
+const TRANSACTION_CSV_COLUMNS = [
+  'id', 'timestamp', 'transactionType', 'currency', 'cryptoAmount', 'usdAmount', 'priceAtTime',
+  'gameRoundId', 'multiplier', 'cashoutReason', 'swapId', 'swapSide', 'rate', 'note', 'transactionHash'
+];
+
+/**
+ * Read the transaction history filters from a query string
+ * @param {Object} query - Express request query
+ * @returns {Object} - Filters for walletService.buildTransactionQuery
+ */
+const parseTransactionFilters = (query) => {
+  const from = query.from ? new Date(query.from) : undefined;
+  const to = query.to ? new Date(query.to) : undefined;
+  if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+    throw new Error('Invalid date range');
+  }
+  
+  return {
+    types: query.type ? String(query.type).split(',').map(type => type.trim()).filter(Boolean) : undefined,
+    currency: query.currency ? String(query.currency).toUpperCase() : undefined,
+    from,
+    to,
+    roundId: query.roundId,
+    minAmount: query.minAmount,
+    maxAmount: query.maxAmount
+  };
+};
+
+/**
+ * Whether an error comes from a bad history filter or cursor
+ * @param {Error} error - Error
+ * @returns {boolean}
+ */
+const isFilterError = (error) => {
+  return error.message.startsWith('Invalid') || error.message.includes('Unsupported currency');
+};
+
 /**
- * Get transaction history
+ * Get a page of transaction history, filtered
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const getTransactionHistory = async (req, res) => {
   try {
     const userId = req.user._id;
-    const limit = parseInt(req.query.limit) || 20;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 500);
+    const { cursor } = req.query;
+    const filters = parseTransactionFilters(req.query);
+    
+    // Check if MongoDB is connected
+    const isMongoConnected = require('mongoose').connection.readyState === 1;
+    if (!isMongoConnected) {
+      return res.status(503).json({ message: 'Database service unavailable. Please try again later.' });
+    }
     
     // Get transaction history
-    const transactions = await walletService.getTransactionHistory(userId, limit);
+    const page = await walletService.getTransactionHistory(userId, filters, { cursor, limit });
     
-    res.status(200).json(transactions);
+    res.status(200).json(page);
   } catch (error) {
     console.error('Get transaction history error:', error);
+    
+    if (isFilterError(error)) {
+      return res.status(400).json({ message: error.message });
+    }
+    
     res.status(500).json({ message: 'Failed to get transaction history' });
   }
 };
 
+/**
+ * Export the full filtered transaction history as CSV or JSON, streamed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const exportTransactions = async (req, res) => {
+  let transactions;
+  
+  try {
+    const userId = req.user._id;
+    const format = req.query.format || 'csv';
+    
+    // Validate input
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ message: 'Invalid format: must be csv or json' });
+    }
+    const filters = parseTransactionFilters(req.query);
+    
+    // Check if MongoDB is connected
+    const isMongoConnected = require('mongoose').connection.readyState === 1;
+    if (!isMongoConnected) {
+      return res.status(503).json({ message: 'Database service unavailable. Please try again later.' });
+    }
+    
+    transactions = walletService.streamTransactionHistory(userId, filters);
+    
+    const filename = `transactions-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.status(200);
+    res.set({
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    
+    // One line or array element per transaction, read only as fast as the client downloads
+    let first = true;
+    const toRows = new Transform({
+      writableObjectMode: true,
+      transform(transaction, encoding, callback) {
+        if (format === 'csv') {
+          callback(null, csv.row([
+            transaction._id,
+            transaction.timestamp,
+            transaction.transactionType,
+            transaction.currency,
+            amount.format(transaction.cryptoAmount, transaction.currency),
+            transaction.usdAmount,
+            transaction.priceAtTime,
+            transaction.gameRoundId,
+            transaction.multiplier,
+            transaction.cashoutReason,
+            transaction.swapId,
+            transaction.swapSide,
+            transaction.rate,
+            transaction.note,
+            transaction.transactionHash
+          ]));
+        } else {
+          callback(null, `${first ? '' : ','}${JSON.stringify(amount.serialize(transaction))}`);
+        }
+        first = false;
+      },
+      flush(callback) {
+        callback(null, format === 'json' ? ']' : '');
+      }
+    });
+    toRows.push(format === 'csv' ? csv.row(TRANSACTION_CSV_COLUMNS) : '[');
+    
+    // Destroys every stream, closing the cursor, if the client goes away or a read fails
+    await pipeline(transactions, toRows, res);
+  } catch (error) {
+    // The client went away; there is no one left to tell
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+      return;
+    }
+    
+    console.error('Export transactions error:', error);
+    
+    if (transactions) {
+      await transactions.close().catch(() => {});
+    }
+    
+    // Once streaming has started, all that can be done is cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    
+    if (isFilterError(error)) {
+      return res.status(400).json({ message: error.message });
+    }
+    
+    res.status(500).json({ message: 'Failed to export transactions' });
+  }
+};
+
+/**
+ * Get ledger entries of the user's account
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getLedger = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const { currency } = req.query;
+    
+    // Get ledger entries
+    const entries = await walletService.getLedger(userId, { currency, limit });
+    
+    res.status(200).json(entries);
+  } catch (error) {
+    console.error('Get ledger error:', error);
+    res.status(500).json({ message: 'Failed to get ledger entries' });
+  }
+};
+
+/**
+ * Get the user's deposit address for a currency
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDepositAddress = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const currency = req.params.currency.toUpperCase();
+    
+    // Check if MongoDB is connected
+    const isMongoConnected = require('mongoose').connection.readyState === 1;
+    if (!isMongoConnected) {
+      return res.status(503).json({ message: 'Database service unavailable. Please try again later.' });
+    }
+    
+    // Get deposit address
+    const depositAddress = await depositService.getDepositAddress(userId, currency);
+    
+    res.status(200).json(depositAddress);
+  } catch (error) {
+    console.error('Get deposit address error:', error);
+    
+    if (error.message.includes('Unsupported currency')) {
+      return res.status(400).json({ message: error.message });
+    }
+    
+    res.status(500).json({ message: 'Failed to get deposit address' });
+  }
+};
+
+/**
+ * Get the user's deposits
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDeposits = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 500);
+    const { currency } = req.query;
+    
+    // Get deposits
+    const deposits = await depositService.getDeposits(userId, { currency, limit });
+    
+    res.status(200).json(deposits);
+  } catch (error) {
+    console.error('Get deposits error:', error);
+    res.status(500).json({ message: 'Failed to get deposits' });
+  }
+};
+
+/**
+ * Request a withdrawal; the amount is locked until an admin reviews it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const requestWithdrawal = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { currency, address, amount } = req.body;
+    
+    // Validate input
+    if (!currency || !address || amount === undefined) {
+      return res.status(400).json({ message: 'Currency, address and amount are required' });
+    }
+    
+    // Check if MongoDB is connected
+    const isMongoConnected = require('mongoose').connection.readyState === 1;
+    if (!isMongoConnected) {
+      return res.status(503).json({ message: 'Database service unavailable. Please try again later.' });
+    }
+    
+    // Request withdrawal
+    const withdrawal = await withdrawalService.requestWithdrawal(userId, String(currency).toUpperCase(), address, amount);
+    
+    res.status(201).json(withdrawal);
+  } catch (error) {
+    console.error('Request withdrawal error:', error);
+    
+    if (error.message.includes('already being processed')) {
+      return res.status(409).json({ message: error.message });
+    }
+    
+    if (
+      error.message.includes('Unsupported currency') ||
+      error.message.includes('Invalid') ||
+      error.message.includes('Withdrawal is') ||
+      error.message.includes('daily limit') ||
+      error.message.includes('Insufficient')
+    ) {
+      return res.status(400).json({ message: error.message });
+    }
+    
+    res.status(500).json({ message: 'Failed to request withdrawal' });
+  }
+};
+
+/**
+ * Get the user's withdrawals
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getWithdrawals = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 500);
+    const { status } = req.query;
+    
+    // Get withdrawals
+    const withdrawals = await withdrawalService.getWithdrawals({ userId, status }, limit);
+    
+    res.status(200).json(withdrawals);
+  } catch (error) {
+    console.error('Get withdrawals error:', error);
+    res.status(500).json({ message: 'Failed to get withdrawals' });
+  }
+};
+
+/**
+ * Quote a swap between two currencies
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const quoteSwap = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { from, to, amount } = req.body;
+    
+    // Validate input
+    if (!from || !to || amount === undefined) {
+      return res.status(400).json({ message: 'From currency, to currency and amount are required' });
+    }
+    
+    // Get quote
+    const quote = await swapService.createQuote(userId, String(from).toUpperCase(), String(to).toUpperCase(), amount);
+    
+    res.status(200).json(quote);
+  } catch (error) {
+    console.error('Quote swap error:', error);
+    
+    if (error instanceof PriceUnavailableError) {
+      return res.status(503).json({ message: error.message });
+    }
+    
+    if (error.message.includes('Unsupported currency') || error.message.includes('Invalid') || error.message.includes('Cannot swap') || error.message.includes('too small')) {
+      return res.status(400).json({ message: error.message });
+    }
+    
+    res.status(500).json({ message: 'Failed to quote swap' });
+  }
+};
+
+/**
+ * Execute a swap quote
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const executeSwap = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { quoteId } = req.body;
+    
+    // Validate input
+    if (!quoteId) {
+      return res.status(400).json({ message: 'Quote ID is required' });
+    }
+    
+    // Check if MongoDB is connected
+    const isMongoConnected = require('mongoose').connection.readyState === 1;
+    if (!isMongoConnected) {
+      return res.status(503).json({ message: 'Database service unavailable. Please try again later.' });
+    }
+    
+    // Execute swap
+    const result = await swapService.executeQuote(userId, quoteId);
+    
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Execute swap error:', error);
+    
+    if (error.message.includes('Quote not found')) {
+      return res.status(404).json({ message: error.message });
+    }
+    
+    if (error.message.includes('expired')) {
+      return res.status(410).json({ message: error.message });
+    }
+    
+    if (error.message.includes('Insufficient')) {
+      return res.status(400).json({ message: error.message });
+    }
+    
+    res.status(500).json({ message: 'Failed to execute swap' });
+  }
+};
+
 /**
  * Get current cryptocurrency prices
  * @param {Object} req - Express request object
@@ -47,7 +420,7 @@ const getTransactionHistory = async (req, res) => {
  */
 const getCryptoPrices = async (req, res) => {
   try {
-    // Get prices for all supported cryptocurrencies
+    // Get prices for all currencies, null where no recent price is available
     const prices = await cryptoService.getAllPrices();
     
     res.status(200).json(prices);
@@ -57,8 +430,72 @@ const getCryptoPrices = async (req, res) => {
   }
 };
 
+/**
+ * Get OHLC price candles of a currency
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPriceHistory = async (req, res) => {
+  try {
+    const currency = String(req.query.currency || '').toUpperCase();
+    const interval = req.query.interval || '1h';
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const from = req.query.from ? new Date(req.query.from) : undefined;
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+    
+    // Validate input
+    if (!currencies.isKnown(currency)) {
+      return res.status(400).json({ message: `Unsupported currency: ${currency}` });
+    }
+    if (!priceHistoryService.getIntervals().includes(interval)) {
+      return res.status(400).json({ message: `Invalid interval: must be one of ${priceHistoryService.getIntervals().join(', ')}` });
+    }
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+    
+    // Check if MongoDB is connected
+    const isMongoConnected = require('mongoose').connection.readyState === 1;
+    if (!isMongoConnected) {
+      return res.status(503).json({ message: 'Database service unavailable. Please try again later.' });
+    }
+    
+    // Get candles
+    const candles = await priceHistoryService.getCandles(currency, interval, { from, to, limit });
+    
+    res.status(200).json({ currency, interval, candles });
+  } catch (error) {
+    console.error('Get price history error:', error);
+    res.status(500).json({ message: 'Failed to get price history' });
+  }
+};
+
+/**
+ * Get the currencies that can be bet, deposited, withdrawn and swapped
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCurrencies = (req, res) => {
+  const enabled = currencies.enabledSymbols().map(symbol => {
+    const { name, decimals, minBet, maxBet, maxProfit } = currencies.get(symbol);
+    return { symbol, name, decimals, minBet, maxBet, maxProfit };
+  });
+  
+  res.status(200).json(enabled);
+};
+
 module.exports = {
   getWallet,
   getTransactionHistory,
-  getCryptoPrices
+  exportTransactions,
+  getLedger,
+  getDepositAddress,
+  getDeposits,
+  requestWithdrawal,
+  getWithdrawals,
+  quoteSwap,
+  executeSwap,
+  getCryptoPrices,
+  getPriceHistory,
+  getCurrencies
 };
\ No newline at end of file
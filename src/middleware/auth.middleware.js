@@ -34,7 +34,8 @@ const authenticate = async (req, res, next) => {
     req.user = {
       _id: user._id,
       email: user.email,
-      username: user.username
+      username: user.username,
+      role: user.role
     };
     
     next();
@@ -53,4 +54,21 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticate };
\ No newline at end of file
+/**
+ * Middleware to restrict a route to users with one of the given roles.
+ * Must run after authenticate.
+ * @param {...string} roles - Roles allowed to access the route
+ */
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+  
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({ message: 'Insufficient permissions' });
+  }
+  
+  next();
+};
+
+module.exports = { authenticate, authorize };
\ No newline at end of file
@@ -0,0 +1,23 @@
+/**
+ * Middleware to resolve the game table a request is for.
+ * Table-scoped routes carry a :tableId param; unscoped routes use the default table.
+ */
+const resolveTable = (req, res, next) => {
+  const tableManager = req.app.get('tableManager');
+  
+  if (!tableManager) {
+    return res.status(500).json({ message: 'Game service not available' });
+  }
+  
+  const tableId = req.params.tableId || tableManager.defaultTableId;
+  const gameService = tableManager.get(tableId);
+  
+  if (!gameService) {
+    return res.status(404).json({ message: `Table not found: ${tableId}` });
+  }
+  
+  req.gameService = gameService;
+  next();
+};
+
+module.exports = { resolveTable };
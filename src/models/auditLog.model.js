@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    comment: 'Admin who performed the action'
+  },
+  actorUsername: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    comment: 'What was done, e.g. game.pause'
+  },
+  tableId: {
+    type: String,
+    default: null,
+    comment: 'Table the action targeted, if any'
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ timestamp: -1 });
+auditLogSchema.index({ actorId: 1, timestamp: -1 });
+
+// Audit entries are append-only
+const rejectUpdate = function(next) {
+  next(new Error('Audit log entries cannot be modified'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectUpdate(next);
+  }
+  next();
+});
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], rejectUpdate);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
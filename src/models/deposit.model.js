@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const amount = require('../utils/amount');
+const currencies = require('../utils/currencies');
+
+const depositSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  currency: currencies.schemaType({ required: true }),
+  address: {
+    type: String,
+    required: true
+  },
+  txHash: {
+    type: String,
+    required: true,
+    comment: 'Hash of the on-chain transfer'
+  },
+  amount: amount.schemaType({
+    required: true,
+    comment: 'Base units (satoshi, wei)'
+  }),
+  confirmations: {
+    type: Number,
+    default: 0
+  },
+  confirmationsRequired: {
+    type: Number,
+    required: true,
+    comment: 'Confirmations needed when the deposit was detected'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'credited'],
+    default: 'pending'
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null,
+    comment: 'Deposit transaction that credited the wallet'
+  },
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  creditedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  toJSON: {
+    // Crypto amounts leave the API as decimal strings
+    transform: (doc, ret) => amount.serialize(ret)
+  }
+});
+
+// A transfer to an address is only ever recorded, and credited, once
+depositSchema.index({ currency: 1, txHash: 1, address: 1 }, { unique: true });
+depositSchema.index({ userId: 1, detectedAt: -1 });
+depositSchema.index({ status: 1 });
+
+const Deposit = mongoose.model('Deposit', depositSchema);
+
+module.exports = Deposit;
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const currencies = require('../utils/currencies');
+
+const depositAddressSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  currency: currencies.schemaType({ required: true }),
+  address: {
+    type: String,
+    required: true,
+    comment: 'Derived from the user and currency, so it is the same every time it is requested'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+depositAddressSchema.index({ userId: 1, currency: 1 }, { unique: true });
+depositAddressSchema.index({ currency: 1, address: 1 }, { unique: true });
+
+const DepositAddress = mongoose.model('DepositAddress', depositAddressSchema);
+
+module.exports = DepositAddress;
@@ -1,10 +1,18 @@
 const mongoose = require('mongoose');
+const amount = require('../utils/amount');
+const currencies = require('../utils/currencies');
 
 const gameRoundSchema = new mongoose.Schema({
+  tableId: {
+    type: String,
+    required: true,
+    default: 'main',
+    comment: 'Table the round was played on'
+  },
   roundNumber: {
     type: Number,
     required: true,
-    unique: true
+    comment: 'Sequential per table'
   },
   startTime: {
     type: Date,
@@ -23,12 +31,37 @@ const gameRoundSchema = new mongoose.Schema({
   seed: {
     type: String,
     required: true,
-    comment: 'Seed used for generating the crash point'
+    comment: 'Server seed from the hash chain, revealed once the round has crashed'
   },
   hash: {
     type: String,
     required: true,
-    comment: 'Hash of the seed + round number for verification'
+    comment: 'SHA-256 of the server seed, published before betting opens'
+  },
+  clientSeed: {
+    type: String,
+    default: '',
+    comment: 'Public client seed mixed into the crash point'
+  },
+  houseEdge: {
+    type: Number,
+    default: null,
+    comment: 'House edge the crash point was generated with'
+  },
+  instantCrashRate: {
+    type: Number,
+    default: null,
+    comment: 'Instant-crash rate the crash point was generated with'
+  },
+  maxCrashValue: {
+    type: Number,
+    default: null,
+    comment: 'Crash point cap the round was generated with'
+  },
+  chainCommitment: {
+    type: String,
+    default: null,
+    comment: 'Published hash of the first seed in the chain this round belongs to'
   },
   bets: [{
     userId: {
@@ -40,18 +73,42 @@ const gameRoundSchema = new mongoose.Schema({
       type: Number,
       required: true
     },
-    cryptoAmount: {
+    cryptoAmount: amount.schemaType({
+      required: true,
+      comment: 'Base units (satoshi, wei)'
+    }),
+    currency: currencies.schemaType({ required: true }),
+    autoCashoutAt: {
       type: Number,
-      required: true
-    },
-    currency: {
-      type: String,
-      enum: ['BTC', 'ETH'],
-      required: true
+      default: null,
+      comment: 'Multiplier at which the server cashes the bet out, null for manual only'
     },
     transactionId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Transaction'
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'won', 'lost', 'refunded'],
+      default: 'pending',
+      comment: 'Final outcome of the bet, set once when it is settled'
+    },
+    multiplier: {
+      type: Number,
+      default: null,
+      comment: 'Multiplier the bet was cashed out at, null unless won'
+    },
+    payout: amount.schemaType({
+      default: null,
+      comment: 'Base units returned to the player, in the bet currency'
+    }),
+    profit: amount.schemaType({
+      default: null,
+      comment: 'Payout minus stake in base units, negative for lost bets'
+    }),
+    settledAt: {
+      type: Date,
+      default: null
     }
   }],
   cashouts: [{
@@ -65,18 +122,24 @@ const gameRoundSchema = new mongoose.Schema({
       required: true,
       comment: 'USD equivalent of the crypto payout'
     },
-    cryptoAmount: {
+    cryptoAmount: amount.schemaType({
+      required: true,
+      comment: 'Base units (satoshi, wei)'
+    }),
+    currency: currencies.schemaType({ required: true }),
+    multiplier: {
       type: Number,
       required: true
     },
-    currency: {
-      type: String,
-      enum: ['BTC', 'ETH'],
-      required: true
+    auto: {
+      type: Boolean,
+      default: false,
+      comment: 'Whether the cashout was triggered by the server rather than the player'
     },
-    multiplier: {
-      type: Number,
-      required: true
+    reason: {
+      type: String,
+      enum: ['manual', 'auto', 'max_profit', 'exposure_limit'],
+      default: 'manual'
     },
     timestamp: {
       type: Date,
@@ -89,13 +152,34 @@ const gameRoundSchema = new mongoose.Schema({
   }],
   status: {
     type: String,
-    enum: ['pending', 'active', 'completed'],
+    enum: ['pending', 'active', 'completed', 'voided'],
     default: 'pending'
+  },
+  settledAt: {
+    type: Date,
+    default: null,
+    comment: 'When every bet of the round was given its final status'
+  },
+  voidReason: {
+    type: String,
+    default: null,
+    comment: 'Why the round ended without a crash, e.g. server_restart or the reason an admin gave'
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    // Crypto amounts leave the API as decimal strings
+    transform: (doc, ret) => amount.serialize(ret)
+  }
 });
 
+// Round numbers are only unique within a table
+gameRoundSchema.index({ tableId: 1, roundNumber: 1 }, { unique: true });
+
+// A player's settled bets by day, and their rounds latest first, for player statistics
+gameRoundSchema.index({ 'bets.userId': 1, 'bets.settledAt': 1 });
+gameRoundSchema.index({ 'bets.userId': 1, settledAt: -1 });
+
 const GameRound = mongoose.model('GameRound', gameRoundSchema);
 
 module.exports = GameRound;
\ No newline at end of file
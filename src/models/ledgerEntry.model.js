@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const amount = require('../utils/amount');
+const currencies = require('../utils/currencies');
+
+const ledgerEntrySchema = new mongoose.Schema({
+  journalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true,
+    comment: 'Transaction the entry belongs to; the entries of a journal sum to zero'
+  },
+  account: {
+    type: String,
+    required: true,
+    comment: 'Account moved, e.g. user:<userId>, house:game, house:adjustments, clearing:withdrawals'
+  },
+  accountType: {
+    type: String,
+    enum: ['user', 'house', 'clearing', 'external'],
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    comment: 'Owner of a user account, null for house and external accounts'
+  },
+  currency: currencies.schemaType({ required: true }),
+  amount: amount.schemaType({
+    required: true,
+    comment: 'Signed change to the account in base units, positive adds to it'
+  }),
+  balanceAfter: amount.schemaType({
+    default: null,
+    comment: 'Wallet balance in base units right after the entry, user accounts only'
+  }),
+  entryType: {
+    type: String,
+    required: true,
+    comment: 'Transaction type that produced the entry'
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    // Crypto amounts leave the API as decimal strings
+    transform: (doc, ret) => amount.serialize(ret)
+  }
+});
+
+ledgerEntrySchema.index({ journalId: 1 });
+ledgerEntrySchema.index({ userId: 1, currency: 1, timestamp: -1 });
+ledgerEntrySchema.index({ account: 1, currency: 1 });
+
+// Ledger entries are append-only; corrections are new adjustment entries
+const rejectUpdate = function(next) {
+  next(new Error('Ledger entries cannot be modified'));
+};
+
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectUpdate(next);
+  }
+  next();
+});
+ledgerEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], rejectUpdate);
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+module.exports = LedgerEntry;
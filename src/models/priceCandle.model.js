@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const currencies = require('../utils/currencies');
+
+// OHLC prices per currency and interval, updated as samples come in
+const priceCandleSchema = new mongoose.Schema({
+  currency: currencies.schemaType({ required: true }),
+  interval: {
+    type: String,
+    enum: ['1m', '1h', '1d'],
+    required: true
+  },
+  openTime: {
+    type: Date,
+    required: true,
+    comment: 'Start of the interval, in UTC'
+  },
+  open: {
+    type: Number,
+    required: true
+  },
+  high: {
+    type: Number,
+    required: true
+  },
+  low: {
+    type: Number,
+    required: true
+  },
+  close: {
+    type: Number,
+    required: true
+  },
+  samples: {
+    type: Number,
+    default: 0,
+    comment: 'Price samples the candle was built from'
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    comment: 'When the candle falls out of its interval\'s retention'
+  }
+});
+
+priceCandleSchema.index({ currency: 1, interval: 1, openTime: -1 }, { unique: true });
+priceCandleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PriceCandle = mongoose.model('PriceCandle', priceCandleSchema);
+
+module.exports = PriceCandle;
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const currencies = require('../utils/currencies');
+
+// Every aggregated price the oracle produced, kept for charts and to audit the price a transaction used
+const priceSampleSchema = new mongoose.Schema({
+  currency: currencies.schemaType({ required: true }),
+  price: {
+    type: Number,
+    required: true,
+    comment: 'USD per crypto'
+  },
+  timestamp: {
+    type: Date,
+    required: true,
+    comment: 'Age of the oldest quote the price was built from'
+  },
+  sources: {
+    type: [String],
+    default: [],
+    comment: 'Providers whose quotes agreed on the price'
+  }
+}, {
+  // Stored as a time series, bucketed per currency; MongoDB drops samples past their retention
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'currency',
+    granularity: 'seconds'
+  },
+  expireAfterSeconds: config.prices.sampleRetention * 24 * 60 * 60
+});
+
+const PriceSample = mongoose.model('PriceSample', priceSampleSchema);
+
+module.exports = PriceSample;
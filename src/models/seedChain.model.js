@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A table's reverse hash chain of server seeds. Only the terminal seed is stored;
+// the chain is rebuilt from it, so a restart resumes the chain already committed to.
+const seedChainSchema = new mongoose.Schema({
+  tableId: {
+    type: String,
+    required: true
+  },
+  terminalSeed: {
+    type: String,
+    required: true,
+    select: false,
+    comment: 'Secret seed the chain is built from; the last seed played'
+  },
+  length: {
+    type: Number,
+    required: true,
+    comment: 'Seeds in the chain'
+  },
+  commitment: {
+    type: String,
+    required: true,
+    comment: 'Hash of the first seed played, published before the first round'
+  },
+  clientSeed: {
+    type: String,
+    default: '',
+    comment: 'Salt fixed for every round of the chain when it was committed'
+  },
+  played: {
+    type: Number,
+    default: 0,
+    comment: 'Seeds handed out to rounds, counted before their hash is published'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'exhausted'],
+    default: 'active'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A table plays from one chain at a time
+seedChainSchema.index({ tableId: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+
+const SeedChain = mongoose.model('SeedChain', seedChainSchema);
+
+module.exports = SeedChain;
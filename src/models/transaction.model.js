@@ -1,5 +1,18 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const amount = require('../utils/amount');
+const currencies = require('../utils/currencies');
+
+// Transaction types that belong to a game round
+const GAME_TRANSACTION_TYPES = ['bet', 'cashout', 'refund'];
+
+/**
+ * Whether the transaction comes from a game round
+ * @returns {boolean}
+ */
+function isGameTransaction() {
+  return GAME_TRANSACTION_TYPES.includes(this.transactionType);
+}
 
 const transactionSchema = new mongoose.Schema({
   userId: {
@@ -9,53 +22,117 @@ const transactionSchema = new mongoose.Schema({
   },
   usdAmount: {
     type: Number,
-    required: true
-  },
-  cryptoAmount: {
-    type: Number,
-    required: true
-  },
-  currency: {
-    type: String,
-    enum: ['BTC', 'ETH'],
-    required: true
+    required: isGameTransaction,
+    default: null
   },
+  cryptoAmount: amount.schemaType({
+    required: true,
+    comment: 'Base units (satoshi, wei)'
+  }),
+  currency: currencies.schemaType({ required: true }),
   transactionType: {
     type: String,
-    enum: ['bet', 'cashout'],
+    // withdrawal_request locks funds, withdrawal_release unlocks them, withdrawal pays them out
+    enum: [...GAME_TRANSACTION_TYPES, 'adjustment', 'deposit', 'withdrawal_request', 'withdrawal_release', 'withdrawal', 'swap'],
     required: true
   },
   transactionHash: {
     type: String,
     required: true,
     default: function() {
-      // Generate a mock transaction hash
+      // Generate a mock transaction hash; deposits carry the hash of their on-chain transfer
       return crypto.randomBytes(32).toString('hex');
     }
   },
   priceAtTime: {
     type: Number,
-    required: true,
+    required: isGameTransaction,
+    default: null,
     comment: 'USD per crypto at the time of transaction'
   },
+  priceSampleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceSample',
+    default: null,
+    comment: 'Price sample priceAtTime came from, null if it was not stored'
+  },
+  betQuoteId: {
+    type: String,
+    default: null,
+    comment: 'Bet quote the bet was priced with, null if it was priced when placed'
+  },
   gameRoundId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'GameRound',
-    required: true
+    required: isGameTransaction,
+    default: null
+  },
+  betTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null,
+    comment: 'Bet a cashout or refund settles, null for other transaction types'
   },
   multiplier: {
     type: Number,
     default: null,
     comment: 'Multiplier at cashout, null for bets'
   },
+  autoCashoutAt: {
+    type: Number,
+    default: null,
+    comment: 'Auto cashout target set on the bet, null if none'
+  },
+  auto: {
+    type: Boolean,
+    default: false,
+    comment: 'Whether a cashout was triggered by the server rather than the player'
+  },
+  cashoutReason: {
+    type: String,
+    enum: ['manual', 'auto', 'max_profit', 'exposure_limit', null],
+    default: null,
+    comment: 'Why a cashout happened, null for other transaction types'
+  },
+  swapId: {
+    type: String,
+    default: null,
+    comment: 'Links the two transactions of a swap'
+  },
+  swapSide: {
+    type: String,
+    enum: ['sell', 'buy', null],
+    default: null,
+    comment: 'sell for the currency given up, buy for the currency received'
+  },
+  rate: {
+    type: Number,
+    default: null,
+    comment: 'Swap rate used, in units of the bought currency per unit of the sold currency'
+  },
+  note: {
+    type: String,
+    default: null,
+    comment: 'Why an adjustment or reversal was made, e.g. opening_balance, swap_reversal'
+  },
   timestamp: {
     type: Date,
     default: Date.now
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    // Crypto amounts leave the API as decimal strings
+    transform: (doc, ret) => amount.serialize(ret)
+  }
 });
 
+// Transaction history, newest first: per user, and per user by type, currency or round
+transactionSchema.index({ userId: 1, timestamp: -1, _id: -1 });
+transactionSchema.index({ userId: 1, transactionType: 1, timestamp: -1, _id: -1 });
+transactionSchema.index({ userId: 1, currency: 1, timestamp: -1, _id: -1 });
+transactionSchema.index({ userId: 1, gameRoundId: 1, timestamp: -1, _id: -1 });
+
 const Transaction = mongoose.model('Transaction', transactionSchema);
 
 module.exports = Transaction;
\ No newline at end of file
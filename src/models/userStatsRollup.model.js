@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const amount = require('../utils/amount');
+const currencies = require('../utils/currencies');
+
+// A player's game activity in one currency over one completed UTC day
+const userStatsRollupSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  day: {
+    type: Date,
+    required: true,
+    comment: 'Start of the day, in UTC'
+  },
+  currency: currencies.schemaType({ required: true }),
+  wagered: amount.schemaType({
+    default: 0n,
+    comment: 'Stakes in base units, less stakes refunded that day'
+  }),
+  paidOut: amount.schemaType({
+    default: 0n,
+    comment: 'Cashouts in base units'
+  }),
+  wageredUsd: {
+    type: Number,
+    default: 0
+  },
+  paidOutUsd: {
+    type: Number,
+    default: 0
+  },
+  rounds: {
+    type: Number,
+    default: 0,
+    comment: 'Bets settled as won or lost that day'
+  },
+  wins: {
+    type: Number,
+    default: 0
+  },
+  multiplierSum: {
+    type: Number,
+    default: 0,
+    comment: 'Sum of the cashout multipliers of the wins, for the average'
+  },
+  biggestWin: {
+    type: {
+      profit: amount.schemaType({ comment: 'Base units' }),
+      usdProfit: Number,
+      multiplier: Number,
+      gameRoundId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GameRound'
+      },
+      settledAt: Date
+    },
+    default: null,
+    comment: 'Win with the largest USD profit that day, null without wins'
+  }
+}, {
+  timestamps: true
+});
+
+userStatsRollupSchema.index({ userId: 1, day: -1, currency: 1 }, { unique: true });
+
+const UserStatsRollup = mongoose.model('UserStatsRollup', userStatsRollupSchema);
+
+module.exports = UserStatsRollup;
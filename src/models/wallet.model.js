@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const amount = require('../utils/amount');
 
 const walletSchema = new mongoose.Schema({
   userId: {
@@ -6,17 +7,18 @@ const walletSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Base units (satoshi, wei) keyed by currency symbol, so a new currency needs no schema change;
+  // opening balances are credited through the ledger
   balances: {
-    BTC: {
-      type: Number,
-      default: 0.001, // Starting with some BTC for testing
-      min: 0
-    },
-    ETH: {
-      type: Number,
-      default: 0.01, // Starting with some ETH for testing
-      min: 0
-    }
+    type: Map,
+    of: amount.schemaType(),
+    default: () => new Map()
+  },
+  // Base units held for pending withdrawals, not part of the available balance
+  locked: {
+    type: Map,
+    of: amount.schemaType(),
+    default: () => new Map()
   },
   createdAt: {
     type: Date,
@@ -27,27 +29,30 @@ const walletSchema = new mongoose.Schema({
     default: Date.now
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    // Balances are keyed by currency, so format each with its own decimals
+    transform: (doc, ret) => {
+      for (const key of ['balances', 'locked']) {
+        ret[key] = Object.fromEntries(
+          Object.entries(ret[key] || {}).map(([currency, units]) => [currency, amount.format(units, currency)])
+        );
+      }
+      return ret;
+    }
+  }
 });
 
-// Method to update balance
-walletSchema.methods.updateBalance = async function(currency, amount) {
-  if (!this.balances[currency] && amount < 0) {
-    throw new Error(`Insufficient ${currency} balance`);
-  }
-  
-  // Ensure balance doesn't go negative
-  if (this.balances[currency] + amount < 0) {
-    throw new Error(`Insufficient ${currency} balance`);
-  }
-  
-  this.balances[currency] += amount;
-  return this.save();
-};
+// Balances are only changed through the ledger service (atomic, guarded updates)
 
 // Method to get balance
 walletSchema.methods.getBalance = function(currency) {
-  return this.balances[currency] || 0;
+  return (this.balances && this.balances.get(currency)) || 0n;
+};
+
+// Method to get the amount locked for withdrawals
+walletSchema.methods.getLocked = function(currency) {
+  return (this.locked && this.locked.get(currency)) || 0n;
 };
 
 const Wallet = mongoose.model('Wallet', walletSchema);
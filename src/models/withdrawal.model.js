@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const amount = require('../utils/amount');
+const currencies = require('../utils/currencies');
+
+const withdrawalSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  currency: currencies.schemaType({ required: true }),
+  address: {
+    type: String,
+    required: true,
+    comment: 'Address the funds are sent to'
+  },
+  amount: amount.schemaType({
+    required: true,
+    comment: 'Base units (satoshi, wei)'
+  }),
+  status: {
+    type: String,
+    // pending: funds locked, awaiting review; processing: approved, being sent;
+    // completed: sent on chain; rejected / failed: funds returned to the available balance
+    enum: ['pending', 'processing', 'completed', 'rejected', 'failed'],
+    default: 'pending'
+  },
+  holdTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null,
+    comment: 'withdrawal_request transaction that locked the funds'
+  },
+  settlementTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null,
+    comment: 'withdrawal or withdrawal_release transaction that settled the lock'
+  },
+  txHash: {
+    type: String,
+    default: null,
+    comment: 'Hash of the on-chain transfer once sent'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  toJSON: {
+    // Crypto amounts leave the API as decimal strings
+    transform: (doc, ret) => amount.serialize(ret)
+  }
+});
+
+withdrawalSchema.index({ userId: 1, requestedAt: -1 });
+withdrawalSchema.index({ userId: 1, currency: 1, requestedAt: -1 });
+withdrawalSchema.index({ status: 1, requestedAt: 1 });
+
+const Withdrawal = mongoose.model('Withdrawal', withdrawalSchema);
+
+module.exports = Withdrawal;
@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/admin.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { resolveTable } = require('../middleware/table.middleware');
+
+// Every admin route requires an authenticated admin
+router.use(authenticate, authorize('admin'));
+
+// Game controls for the default table
+router.post('/game/pause', resolveTable, adminController.pauseGame);
+router.post('/game/resume', resolveTable, adminController.resumeGame);
+router.post('/game/stop', resolveTable, adminController.stopGame);
+router.post('/game/start', resolveTable, adminController.startNewGame);
+router.post('/game/void', resolveTable, adminController.voidRound);
+
+// Game controls for a specific table, e.g. /api/admin/game/high-roller/pause
+router.post('/game/:tableId/pause', resolveTable, adminController.pauseGame);
+router.post('/game/:tableId/resume', resolveTable, adminController.resumeGame);
+router.post('/game/:tableId/stop', resolveTable, adminController.stopGame);
+router.post('/game/:tableId/start', resolveTable, adminController.startNewGame);
+router.post('/game/:tableId/void', resolveTable, adminController.voidRound);
+
+// Audit log of admin actions
+router.get('/audit-logs', adminController.getAuditLogs);
+
+// Wallet balances checked against the ledger
+router.get('/ledger/reconcile', adminController.reconcileLedger);
+
+// Withdrawal review
+router.get('/withdrawals', adminController.getWithdrawals);
+router.post('/withdrawals/:withdrawalId/approve', adminController.approveWithdrawal);
+router.post('/withdrawals/:withdrawalId/reject', adminController.rejectWithdrawal);
+
+// Simulated chain for testing deposits, e.g. /api/admin/chain/BTC/mine
+router.post('/chain/:currency/transfers', adminController.simulateChainTransfer);
+router.post('/chain/:currency/mine', adminController.mineChainBlocks);
+
+module.exports = router;
@@ -1,24 +1,52 @@
 const express = require('express');
 const router = express.Router();
+const tableRouter = express.Router({ mergeParams: true });
 const gameController = require('../controllers/game.controller');
 const { authenticate } = require('../middleware/auth.middleware');
+const { resolveTable } = require('../middleware/table.middleware');
 
-// Get current game state (public)
-router.get('/state', gameController.getGameState);
+/**
+ * Register the routes every table exposes
+ * @param {Object} target - Express router
+ */
+const registerTableRoutes = (target) => {
+  // Get current game state (public)
+  target.get('/state', gameController.getGameState);
 
-// Get game history (public)
-router.get('/history', gameController.getGameHistory);
+  // Get game history (public)
+  target.get('/history', gameController.getGameHistory);
 
-// Place a bet (protected)
-router.post('/bet', authenticate, gameController.placeBet);
+  // Verify a range of completed rounds (public)
+  target.get('/rounds/verify', gameController.verifyRounds);
 
-// Cash out (protected)
-router.post('/cashout', authenticate, gameController.cashOut);
+  // Verify a completed round (public)
+  target.get('/rounds/:roundNumber/verify', gameController.verifyRound);
 
-// Admin game controls (for demo, no auth)
-router.post('/pause', gameController.pauseGame);
-router.post('/resume', gameController.resumeGame);
-router.post('/stop', gameController.stopGame);
-router.post('/start', gameController.startNewGame);
+  // Quote a bet, locking its price for a few seconds (protected)
+  target.post('/bet/quote', authenticate, gameController.quoteBet);
 
-module.exports = router;
\ No newline at end of file
+  // Place a bet (protected)
+  target.post('/bet', authenticate, gameController.placeBet);
+
+  // Cancel a bet while betting is open (protected)
+  target.delete('/bet', authenticate, gameController.cancelBet);
+
+  // Cash out (protected)
+  target.post('/cashout', authenticate, gameController.cashOut);
+};
+
+// List tables (public)
+router.get('/tables', gameController.getTables);
+
+// Unscoped routes play on the default table
+const defaultTableRouter = express.Router();
+defaultTableRouter.use(resolveTable);
+registerTableRoutes(defaultTableRouter);
+router.use(defaultTableRouter);
+
+// Table-scoped routes, e.g. /api/game/high-roller/bet
+tableRouter.use(resolveTable);
+registerTableRoutes(tableRouter);
+router.use('/:tableId', tableRouter);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/user.controller');
+const { authenticate } = require('../middleware/auth.middleware');
+
+// Get the current user's statistics (protected)
+router.get('/me/stats', authenticate, userController.getMyStats);
+
+module.exports = router;
@@ -9,7 +9,37 @@ router.get('/', authenticate, walletController.getWallet);
 // Get transaction history (protected)
 router.get('/transactions', authenticate, walletController.getTransactionHistory);
 
+// Export the full transaction history as CSV or JSON (protected)
+router.get('/transactions/export', authenticate, walletController.exportTransactions);
+
+// Get ledger entries behind the balances (protected)
+router.get('/ledger', authenticate, walletController.getLedger);
+
+// Get the deposit address for a currency (protected)
+router.get('/deposit-address/:currency', authenticate, walletController.getDepositAddress);
+
+// Get deposits and their confirmations (protected)
+router.get('/deposits', authenticate, walletController.getDeposits);
+
+// Request a withdrawal (protected)
+router.post('/withdrawals', authenticate, walletController.requestWithdrawal);
+
+// Get withdrawals and their status (protected)
+router.get('/withdrawals', authenticate, walletController.getWithdrawals);
+
+// Quote a swap between currencies (protected)
+router.post('/swap/quote', authenticate, walletController.quoteSwap);
+
+// Execute a swap quote (protected)
+router.post('/swap', authenticate, walletController.executeSwap);
+
 // Get current cryptocurrency prices (public)
 router.get('/prices', walletController.getCryptoPrices);
 
+// Get OHLC price candles of a currency (public)
+router.get('/prices/history', walletController.getPriceHistory);
+
+// Get the enabled currencies and their bet limits (public)
+router.get('/currencies', walletController.getCurrencies);
+
 module.exports = router;
\ No newline at end of file
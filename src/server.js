@@ -9,12 +9,20 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth.routes');
 const gameRoutes = require('./routes/game.routes');
 const walletRoutes = require('./routes/wallet.routes');
+const adminRoutes = require('./routes/admin.routes');
+const userRoutes = require('./routes/user.routes');
 
 // Import WebSocket handler
 const setupWebSocket = require('./websocket/socket');
 
-// Import game service
-const GameService = require('./services/game.service');
+// Import table manager
+const TableManager = require('./services/table.manager');
+
+// Import deposit watcher
+const depositService = require('./services/deposit.service');
+
+// Import price oracle
+const cryptoService = require('./services/crypto.service');
 
 // Create Express app
 const app = express();
@@ -80,18 +88,20 @@ app.use(express.urlencoded({ extended: true }));
 app.use('/api/auth', authRoutes);
 app.use('/api/game', gameRoutes);
 app.use('/api/wallet', walletRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/users', userRoutes);
 
-// Setup WebSocket
-setupWebSocket(io);
+// Initialize a game service for every configured table
+const tableManager = new TableManager(io);
 
-// Initialize game service
-const gameService = new GameService(io);
+// Setup WebSocket
+setupWebSocket(io, tableManager);
 
-// Set up singleton instance for WebSocket access
-GameService.instance = gameService;
+// Refresh prices on a timer, so they stream to subscribed sockets
+cryptoService.start();
 
-// Make game service available to routes
-app.set('gameService', gameService);
+// Make the tables available to routes
+app.set('tableManager', tableManager);
 
 // MongoDB Connection with retry logic
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/crypto-crash';
@@ -111,14 +121,16 @@ const connectWithRetry = () => {
   mongoose.connect(MONGODB_URI, options)
     .then(() => {
       console.log('Connected to MongoDB successfully');
-      // Start game loop after MongoDB connection
-      gameService.startGameLoop();
+      // Catch the tables up with the database, then start the game loops unless they already run without it
+      tableManager.connectDatabase().then(() => tableManager.startAll());
+      // Deposits are recorded in the database, so only watch the chain once connected
+      depositService.start();
     })
     .catch(err => {
       console.error('MongoDB connection error:', err.message);
       console.log('Starting server without MongoDB connection. Some features will not work.');
-      // Start game loop even without MongoDB connection
-      gameService.startGameLoop();
+      // Start game loops even without MongoDB connection
+      tableManager.startAll();
       
       // Retry connection after delay if not in test mode
       if (process.env.NODE_ENV !== 'test') {
@@ -133,11 +145,13 @@ mongoose.connection.on('error', (err) => {
   console.error('MongoDB connection error:', err);
 });
 
+// Once connected, the driver reconnects by itself; the game loops keep running meanwhile
 mongoose.connection.on('disconnected', () => {
-  console.log('MongoDB disconnected. Attempting to reconnect...');
-  if (process.env.NODE_ENV !== 'test') {
-    setTimeout(connectWithRetry, 5000);
-  }
+  console.log('MongoDB disconnected');
+});
+
+mongoose.connection.on('reconnected', () => {
+  console.log('Reconnected to MongoDB');
 });
 
 // Handle application termination
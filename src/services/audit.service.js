@@ -0,0 +1,61 @@
+const AuditLog = require('../models/auditLog.model');
+
+class AuditService {
+  /**
+   * Record an admin action
+   * @param {Object} entry - Audit entry
+   * @param {Object} entry.actor - User performing the action (req.user)
+   * @param {string} entry.action - What was done, e.g. game.pause
+   * @param {string} [entry.tableId] - Table the action targeted
+   * @param {Object} [entry.details] - Extra context for the action
+   * @param {string} [entry.ip] - IP address the request came from
+   * @returns {Promise<Object>} - Saved audit entry
+   */
+  async record({ actor, action, tableId = null, details = {}, ip = null }) {
+    const entry = {
+      actorId: actor._id,
+      actorUsername: actor.username,
+      action,
+      tableId,
+      details,
+      ip,
+      timestamp: new Date()
+    };
+    
+    // Check if MongoDB is connected
+    const isMongoConnected = require('mongoose').connection.readyState === 1;
+    
+    if (!isMongoConnected) {
+      console.log(`Running in demo mode: Audit entry not persisted: ${JSON.stringify(entry)}`);
+      return entry;
+    }
+    
+    const auditLog = new AuditLog(entry);
+    await auditLog.save();
+    
+    return auditLog;
+  }
+
+  /**
+   * Get audit entries, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.action] - Only entries for this action
+   * @param {string} [filters.actorId] - Only entries by this admin
+   * @param {string} [filters.tableId] - Only entries for this table
+   * @param {number} [limit] - Number of entries to retrieve
+   * @returns {Promise<Array>} - Audit entries
+   */
+  async getAuditLogs({ action, actorId, tableId } = {}, limit = 50) {
+    const query = {};
+    
+    if (action) query.action = action;
+    if (actorId) query.actorId = actorId;
+    if (tableId) query.tableId = tableId;
+    
+    return AuditLog.find(query)
+      .sort({ timestamp: -1 })
+      .limit(limit);
+  }
+}
+
+module.exports = new AuditService();
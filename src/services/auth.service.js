@@ -1,6 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/user.model');
-const Wallet = require('../models/wallet.model');
+const ledgerService = require('./ledger.service');
 const config = require('../config/config');
 
 class AuthService {
@@ -27,9 +27,8 @@ class AuthService {
       const user = new User(userData);
       await user.save();
       
-      // Create wallet for the user
-      const wallet = new Wallet({ userId: user._id });
-      await wallet.save();
+      // Create wallet for the user, crediting its opening balances through the ledger
+      await ledgerService.openWallet(user._id);
       
       // Generate JWT token
       const token = this.generateToken(user);
@@ -38,7 +37,8 @@ class AuthService {
         user: {
           _id: user._id,
           username: user.username,
-          email: user.email
+          email: user.email,
+          role: user.role
         },
         token
       };
@@ -77,7 +77,8 @@ class AuthService {
         user: {
           _id: user._id,
           username: user.username,
-          email: user.email
+          email: user.email,
+          role: user.role
         },
         token
       };
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const cryptoService = require('./crypto.service');
+const { GameError, PriceUnavailableError } = require('../utils/errors');
+const amount = require('../utils/amount');
+
+/**
+ * Signed quotes that lock the price of a bet.
+ *
+ * A quote converts a USD stake to crypto at the current price and is valid for
+ * a few seconds at one table. Its ID is the quote itself, signed with
+ * BET_QUOTE_SECRET, so placing a bet with it needs no price lookup and cannot be
+ * tampered with. Each quote places at most one bet; IDs of used quotes are kept
+ * until the quote would have expired anyway.
+ */
+class BetQuoteService {
+  constructor() {
+    this.used = new Map(); // Expiry of used quotes by ID
+  }
+
+  /**
+   * Quote a bet at the current price
+   * @param {Object} params
+   * @param {string} params.userId - User ID
+   * @param {string} params.tableId - Table the bet is for
+   * @param {number} params.usdAmount - Bet amount in USD
+   * @param {string} params.currency - Cryptocurrency to bet with (BTC, ETH)
+   * @returns {Promise<Object>} - Quote: { id, token, userId, tableId, usdAmount, currency, cryptoAmount, price, priceSampleId, expiresAt }
+   */
+  async createQuote({ userId, tableId, usdAmount, currency }) {
+    let conversion;
+    try {
+      conversion = await cryptoService.usdToCrypto(usdAmount, currency);
+    } catch (error) {
+      if (error instanceof PriceUnavailableError) {
+        throw new GameError('BETTING_SUSPENDED', `Betting in ${currency} is suspended until a current price is available`, 503);
+      }
+      throw error;
+    }
+
+    const quote = {
+      id: crypto.randomBytes(16).toString('hex'),
+      userId: userId.toString(),
+      tableId,
+      usdAmount,
+      currency,
+      cryptoAmount: conversion.cryptoAmount,
+      price: conversion.price,
+      priceSampleId: conversion.priceSampleId ? conversion.priceSampleId.toString() : null,
+      expiresAt: new Date(Date.now() + config.betQuotes.ttl * 1000)
+    };
+    quote.token = this.sign(quote);
+
+    return quote;
+  }
+
+  /**
+   * Check a quote token and decode the quote it carries
+   * @param {string} token - Quote ID as returned to the client
+   * @param {string} userId - User placing the bet
+   * @param {string} tableId - Table the bet is placed at
+   * @returns {Object} - Quote
+   */
+  verifyQuote(token, userId, tableId) {
+    const [body, signature] = typeof token === 'string' ? token.split('.') : [];
+    if (!body || !signature) {
+      throw new GameError('QUOTE_INVALID', 'Invalid bet quote');
+    }
+
+    const expected = Buffer.from(this.signature(body));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      throw new GameError('QUOTE_INVALID', 'Invalid bet quote');
+    }
+
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (payload.userId !== userId.toString() || payload.tableId !== tableId) {
+      throw new GameError('QUOTE_INVALID', 'Bet quote was issued for another player or table');
+    }
+
+    const quote = {
+      ...payload,
+      token,
+      cryptoAmount: BigInt(payload.cryptoAmount),
+      expiresAt: new Date(payload.expiresAt)
+    };
+
+    if (quote.expiresAt <= new Date()) {
+      throw new GameError('QUOTE_EXPIRED', 'Bet quote has expired, please request a new one', 410);
+    }
+    if (this.used.has(quote.id)) {
+      throw new GameError('QUOTE_USED', 'Bet quote has already been used', 409);
+    }
+
+    return quote;
+  }
+
+  /**
+   * Mark a quote as used, failing if it already was
+   * @param {Object} quote - Quote
+   */
+  consume(quote) {
+    if (this.used.has(quote.id)) {
+      throw new GameError('QUOTE_USED', 'Bet quote has already been used', 409);
+    }
+    this.removeExpiredQuotes();
+    this.used.set(quote.id, quote.expiresAt);
+  }
+
+  /**
+   * Make a quote usable again after the bet it was used for failed
+   * @param {Object} quote - Quote
+   */
+  release(quote) {
+    this.used.delete(quote.id);
+  }
+
+  /**
+   * Forget used quotes that have expired; they are rejected as expired instead
+   */
+  removeExpiredQuotes() {
+    const now = new Date();
+    for (const [id, expiresAt] of this.used) {
+      if (expiresAt <= now) {
+        this.used.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Encode a quote and sign it
+   * @param {Object} quote - Quote
+   * @returns {string} - Token: base64url payload and signature joined by a dot
+   */
+  sign(quote) {
+    const body = Buffer.from(JSON.stringify({
+      id: quote.id,
+      userId: quote.userId,
+      tableId: quote.tableId,
+      usdAmount: quote.usdAmount,
+      currency: quote.currency,
+      cryptoAmount: quote.cryptoAmount.toString(),
+      price: quote.price,
+      priceSampleId: quote.priceSampleId,
+      expiresAt: quote.expiresAt.toISOString()
+    })).toString('base64url');
+
+    return `${body}.${this.signature(body)}`;
+  }
+
+  /**
+   * HMAC of an encoded quote
+   * @param {string} body - Encoded quote
+   * @returns {string} - Signature, base64url
+   */
+  signature(body) {
+    return crypto.createHmac('sha256', config.betQuotes.secret).update(body).digest('base64url');
+  }
+
+  /**
+   * Quote as returned to the client, amounts as decimal strings
+   * @param {Object} quote - Quote
+   * @returns {Object} - Client view of the quote
+   */
+  serializeQuote(quote) {
+    return {
+      quoteId: quote.token,
+      tableId: quote.tableId,
+      usdAmount: quote.usdAmount,
+      currency: quote.currency,
+      cryptoAmount: amount.format(quote.cryptoAmount, quote.currency),
+      rate: quote.price,
+      expiresAt: quote.expiresAt
+    };
+  }
+}
+
+module.exports = new BetQuoteService();
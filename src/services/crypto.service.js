@@ -1,17 +1,44 @@
-const axios = require('axios');
-const NodeCache = require('node-cache');
+const EventEmitter = require('events');
 const config = require('../config/config');
+const amount = require('../utils/amount');
+const currencies = require('../utils/currencies');
+const priceHistoryService = require('./priceHistory.service');
+const { PriceUnavailableError } = require('../utils/errors');
+const { getPriceProviders } = require('../adapters');
 
-class CryptoService {
+/**
+ * Median of a non-empty list of numbers
+ * @param {Array<number>} values - Numbers
+ * @returns {number} - Median
+ */
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * USD prices aggregated from every configured price provider.
+ *
+ * A refresh asks all providers at once. Per currency, quotes older than `maxAge`
+ * are dropped, quotes further than `maxDeviation` from the median are rejected as
+ * outliers, and the median of the rest becomes the price if at least
+ * `minProviders` quotes agree. Prices are refreshed every `cacheTtl` seconds;
+ * while providers fail, the last price is kept until it is `maxAge` old. After
+ * that the currency has no price and anything priced in USD, such as betting, is
+ * suspended instead of running on made-up numbers. Every new price is stored in
+ * the price history, and transactions priced with it link to its sample.
+ *
+ * Once started, prices are refreshed on a timer and every refresh that produces
+ * new prices emits an `update` event with them, for streaming to clients.
+ */
+class CryptoService extends EventEmitter {
   constructor() {
-    // Initialize cache with 10 seconds TTL
-    this.cache = new NodeCache({ stdTTL: 10 });
-    this.apiUrl = config.cryptoApi.coinGeckoUrl;
-    this.supportedCurrencies = config.cryptoApi.supportedCurrencies;
-    this.currencyIds = {
-      'BTC': 'bitcoin',
-      'ETH': 'ethereum'
-    };
+    super();
+    this.refreshTimer = null;
+    this.prices = new Map(); // Latest aggregated price per currency: { price, timestamp, sources, sampleId }
+    this.refreshedAt = 0;
+    this.refreshing = null;
   }
 
   /**
@@ -20,53 +47,183 @@ class CryptoService {
    * @returns {Promise<number>} - Current price in USD
    */
   async getPrice(currency) {
-    if (!this.supportedCurrencies.includes(currency)) {
+    const { price } = await this.getPricePoint(currency);
+    return price;
+  }
+
+  /**
+   * Get current price for a cryptocurrency with the price sample it was stored as
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @returns {Promise<Object>} - { price, timestamp, sources, sampleId }; sampleId is null when the price was not stored
+   */
+  async getPricePoint(currency) {
+    if (!currencies.isKnown(currency)) {
       throw new Error(`Unsupported currency: ${currency}`);
     }
 
-    // Check if price is in cache
-    const cacheKey = `price_${currency}`;
-    const cachedPrice = this.cache.get(cacheKey);
-    
-    if (cachedPrice !== undefined) {
-      return cachedPrice;
+    const point = await this.getLatest(currency);
+    if (!point) {
+      throw new PriceUnavailableError(currency);
+    }
+
+    return point;
+  }
+
+  /**
+   * Get the latest aggregated price of a currency, refreshing the providers when it is due
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @returns {Promise<Object|null>} - { price, timestamp, sources, sampleId }, or null if no price is recent enough
+   */
+  async getLatest(currency) {
+    if (Date.now() - this.refreshedAt >= config.prices.cacheTtl * 1000) {
+      await this.refresh();
+    }
+
+    const point = this.prices.get(currency);
+    if (!point || this.isStale(point)) {
+      return null;
     }
 
-    try {
-      // Fetch price from CoinGecko API
-      const currencyId = this.currencyIds[currency];
-      const response = await axios.get(`${this.apiUrl}/simple/price`, {
-        params: {
-          ids: currencyId,
-          vs_currencies: 'usd'
-        }
+    return point;
+  }
+
+  /**
+   * Latest aggregated prices, without asking the providers
+   * @returns {Object} - { price, timestamp, sources, sampleId } per registered currency, null where no price is recent enough
+   */
+  getCachedPoints() {
+    const points = {};
+    for (const currency of currencies.symbols()) {
+      const point = this.prices.get(currency);
+      points[currency] = point && !this.isStale(point) ? point : null;
+    }
+    return points;
+  }
+
+  /**
+   * Whether a price is too old to trade on
+   * @param {Object} point - Price with its timestamp
+   * @returns {boolean}
+   */
+  isStale(point) {
+    return !(Date.now() - point.timestamp.getTime() <= config.prices.maxAge * 1000);
+  }
+
+  /**
+   * Ask every provider for fresh prices; concurrent callers share one refresh
+   * @returns {Promise<void>}
+   */
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.fetchPrices().finally(() => {
+        this.refreshedAt = Date.now();
+        this.refreshing = null;
       });
+    }
 
-      const price = response.data[currencyId].usd;
-      
-      // Cache the price
-      this.cache.set(cacheKey, price);
-      
-      return price;
-    } catch (error) {
-      console.error(`Error fetching ${currency} price:`, error.message);
-      
-      // If we have a cached price, return it even if expired
-      const oldPrice = this.cache.get(cacheKey, true);
-      if (oldPrice) {
-        console.log(`Using expired cached price for ${currency}: $${oldPrice}`);
-        return oldPrice;
+    return this.refreshing;
+  }
+
+  /**
+   * Fetch every registered currency from every provider and aggregate the results
+   * @returns {Promise<void>}
+   */
+  async fetchPrices() {
+    const registry = currencies.list();
+    const providers = getPriceProviders();
+    const results = await Promise.allSettled(providers.map(provider => provider.getPrices(registry)));
+
+    // Quotes per currency, tagged with the provider they came from
+    const quotes = new Map();
+    results.forEach((result, index) => {
+      const source = providers[index].name;
+      if (result.status === 'rejected') {
+        console.error(`Error fetching prices from ${source}:`, result.reason.message);
+        return;
+      }
+      for (const [currency, quote] of Object.entries(result.value)) {
+        if (!quotes.has(currency)) quotes.set(currency, []);
+        quotes.get(currency).push({ ...quote, source });
+      }
+    });
+
+    const updates = {};
+    for (const { symbol } of registry) {
+      const aggregated = this.aggregate(symbol, quotes.get(symbol) || []);
+      // Without a new price the last one stays until it goes stale
+      if (!aggregated) continue;
+
+      try {
+        const sample = await priceHistoryService.recordSample(symbol, aggregated);
+        aggregated.sampleId = sample ? sample._id : null;
+      } catch (error) {
+        // A price that could not be stored is still a good price
+        console.error(`Error recording ${symbol} price sample:`, error.message);
+        aggregated.sampleId = null;
+      }
+      this.prices.set(symbol, aggregated);
+      updates[symbol] = aggregated;
+    }
+
+    if (Object.keys(updates).length > 0) {
+      this.emit('update', updates);
+    }
+  }
+
+  /**
+   * Combine the providers' quotes for a currency into one price
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {Array<Object>} quotes - { price, timestamp, source } per provider
+   * @returns {Object|null} - { price, timestamp, sources }, or null if too few usable quotes agree
+   */
+  aggregate(currency, quotes) {
+    const usable = quotes.filter(quote => Number.isFinite(quote.price) && quote.price > 0 && !this.isStale(quote));
+    if (usable.length === 0) {
+      console.warn(`No recent ${currency} price from any provider`);
+      return null;
+    }
+
+    const middle = median(usable.map(quote => quote.price));
+    const agreeing = usable.filter(quote => Math.abs(quote.price - middle) / middle <= config.prices.maxDeviation);
+
+    for (const quote of usable) {
+      if (!agreeing.includes(quote)) {
+        console.warn(`Rejected outlying ${currency} price from ${quote.source}: $${quote.price} (median $${middle})`);
       }
-      
-      // Return mock prices if API is unavailable
-      const mockPrices = {
-        'BTC': 60000,
-        'ETH': 3000
-      };
-      
-      console.log(`Using mock price for ${currency}: $${mockPrices[currency]}`);
-      this.cache.set(cacheKey, mockPrices[currency]);
-      return mockPrices[currency];
+    }
+
+    if (agreeing.length < config.prices.minProviders) {
+      console.warn(`Only ${agreeing.length} of ${config.prices.minProviders} required ${currency} prices agree`);
+      return null;
+    }
+
+    return {
+      price: median(agreeing.map(quote => quote.price)),
+      // As old as the oldest quote it was built from
+      timestamp: new Date(Math.min(...agreeing.map(quote => quote.timestamp.getTime()))),
+      sources: agreeing.map(quote => quote.source)
+    };
+  }
+
+  /**
+   * Refresh prices every cacheTtl seconds, so updates flow without anyone asking
+   */
+  start() {
+    if (this.refreshTimer) return;
+
+    this.refresh().catch(error => console.error('Error refreshing prices:', error.message));
+    this.refreshTimer = setInterval(() => {
+      this.refresh().catch(error => console.error('Error refreshing prices:', error.message));
+    }, config.prices.cacheTtl * 1000);
+  }
+
+  /**
+   * Stop refreshing prices on a timer
+   */
+  stop() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
     }
   }
 
@@ -74,27 +231,28 @@ class CryptoService {
    * Convert USD to cryptocurrency
    * @param {number} usdAmount - Amount in USD
    * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
-   * @returns {Promise<{cryptoAmount: number, price: number}>} - Converted amount and price used
+   * @returns {Promise<{cryptoAmount: bigint, price: number, priceSampleId: Object}>} - Amount in base units, rounded down, and price used
    */
   async usdToCrypto(usdAmount, currency) {
-    const price = await this.getPrice(currency);
-    const cryptoAmount = usdAmount / price;
+    const { price, sampleId } = await this.getPricePoint(currency);
+    const cryptoAmount = amount.fromUsd(usdAmount, price, currency);
     
     return {
       cryptoAmount,
-      price
+      price,
+      priceSampleId: sampleId
     };
   }
 
   /**
    * Convert cryptocurrency to USD
-   * @param {number} cryptoAmount - Amount in cryptocurrency
+   * @param {bigint} cryptoAmount - Amount in base units
    * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
    * @returns {Promise<{usdAmount: number, price: number}>} - Converted amount and price used
    */
   async cryptoToUsd(cryptoAmount, currency) {
     const price = await this.getPrice(currency);
-    const usdAmount = cryptoAmount * price;
+    const usdAmount = amount.toUsd(cryptoAmount, price, currency);
     
     return {
       usdAmount,
@@ -103,18 +261,19 @@ class CryptoService {
   }
 
   /**
-   * Get prices for all supported cryptocurrencies
-   * @returns {Promise<Object>} - Object with currency symbols as keys and prices as values
+   * Get prices for every registered currency
+   * @returns {Promise<Object>} - Object with currency symbols as keys and prices as values, null where no price is recent enough
    */
   async getAllPrices() {
     const prices = {};
     
-    for (const currency of this.supportedCurrencies) {
-      prices[currency] = await this.getPrice(currency);
+    for (const currency of currencies.symbols()) {
+      const point = await this.getLatest(currency);
+      prices[currency] = point ? point.price : null;
     }
     
     return prices;
   }
 }
 
-module.exports = new CryptoService();
\ No newline at end of file
+module.exports = new CryptoService();
@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const Deposit = require('../models/deposit.model');
+const DepositAddress = require('../models/depositAddress.model');
+const ledgerService = require('./ledger.service');
+const amount = require('../utils/amount');
+const currencies = require('../utils/currencies');
+const { getChainAdapter } = require('../adapters');
+
+// MongoDB duplicate key error
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Deposits from the chain into user wallets.
+ *
+ * Every user gets one deposit address per currency, derived from the user ID and
+ * currency with an HMAC so it is the same every time. The service polls the chain
+ * adapter for transfers to known addresses, records each one as a pending deposit,
+ * and credits it through the ledger once it has the configured number of
+ * confirmations. The credit and the deposit's move to `credited` commit together,
+ * so a deposit is never credited twice.
+ */
+class DepositService {
+  constructor() {
+    this.pollTimer = null;
+    this.syncing = false;
+  }
+
+  /**
+   * Check that a currency is registered and enabled
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   */
+  assertCurrency(currency) {
+    currencies.getEnabled(currency);
+  }
+
+  /**
+   * Derive the deposit address of a user for a currency
+   * @param {string} userId - User ID
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @returns {string} - Address
+   */
+  deriveAddress(userId, currency) {
+    const seed = crypto
+      .createHmac('sha256', config.deposits.addressSecret)
+      .update(`${userId}:${currency}`)
+      .digest();
+
+    return getChainAdapter().deriveAddress(currency, seed);
+  }
+
+  /**
+   * Get a user's deposit address for a currency, registering it for watching on first use
+   * @param {string} userId - User ID
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @returns {Promise<Object>} - Address and the confirmations a deposit needs
+   */
+  async getDepositAddress(userId, currency) {
+    this.assertCurrency(currency);
+
+    let depositAddress = await DepositAddress.findOne({ userId, currency });
+
+    if (!depositAddress) {
+      try {
+        depositAddress = await DepositAddress.create({
+          userId,
+          currency,
+          address: this.deriveAddress(userId, currency)
+        });
+      } catch (error) {
+        // Another request registered it first
+        if (error.code !== DUPLICATE_KEY) throw error;
+        depositAddress = await DepositAddress.findOne({ userId, currency });
+      }
+    }
+
+    return {
+      currency,
+      address: depositAddress.address,
+      confirmationsRequired: currencies.get(currency).depositConfirmations
+    };
+  }
+
+  /**
+   * Get a user's deposits, newest first
+   * @param {string} userId - User ID
+   * @param {Object} [options]
+   * @param {string} [options.currency] - Only deposits in this currency
+   * @param {number} [options.limit] - Number of deposits to retrieve
+   * @returns {Promise<Array>} - Deposits
+   */
+  async getDeposits(userId, { currency, limit = 20 } = {}) {
+    const query = { userId };
+    if (currency) {
+      query.currency = currency;
+    }
+
+    return Deposit.find(query)
+      .sort({ detectedAt: -1 })
+      .limit(limit);
+  }
+
+  /**
+   * Record new transfers to deposit addresses, update confirmations and credit
+   * every deposit that has enough of them
+   * @returns {Promise<{detected: number, credited: number}>} - Deposits found and credited by this sync
+   */
+  async syncDeposits() {
+    // Polls must not overlap, or two could credit in parallel
+    if (this.syncing) {
+      return { detected: 0, credited: 0 };
+    }
+    this.syncing = true;
+
+    let detected = 0;
+    let credited = 0;
+
+    try {
+      for (const currency of currencies.enabledSymbols()) {
+        const addresses = await DepositAddress.find({ currency });
+        if (addresses.length === 0) continue;
+
+        const owners = new Map(addresses.map(entry => [entry.address, entry.userId]));
+        const transfers = await getChainAdapter().getIncomingTransfers(currency, Array.from(owners.keys()));
+
+        for (const transfer of transfers) {
+          let deposit = await Deposit.findOne({ currency, txHash: transfer.txHash, address: transfer.address });
+
+          if (!deposit) {
+            deposit = await Deposit.create({
+              userId: owners.get(transfer.address),
+              currency,
+              address: transfer.address,
+              txHash: transfer.txHash,
+              amount: transfer.amount,
+              confirmations: transfer.confirmations,
+              confirmationsRequired: currencies.get(currency).depositConfirmations
+            });
+            detected++;
+          } else if (deposit.status === 'pending' && deposit.confirmations !== transfer.confirmations) {
+            deposit.confirmations = transfer.confirmations;
+            await deposit.save();
+          }
+
+          if (deposit.status === 'pending' && deposit.confirmations >= deposit.confirmationsRequired) {
+            try {
+              await this.creditDeposit(deposit);
+              credited++;
+            } catch (error) {
+              // Left pending; the next sync tries again
+              console.error(`Error crediting deposit ${deposit.txHash}:`, error.message);
+            }
+          }
+        }
+      }
+    } finally {
+      this.syncing = false;
+    }
+
+    return { detected, credited };
+  }
+
+  /**
+   * Credit a confirmed deposit to its owner's wallet
+   * @param {Object} deposit - Pending deposit
+   * @returns {Promise<Object>} - Deposit transaction
+   */
+  async creditDeposit(deposit) {
+    const { transaction } = await ledgerService.credit(deposit.userId, deposit.currency, deposit.amount, {
+      transactionType: 'deposit',
+      transactionHash: deposit.txHash
+    }, {
+      within: async (transaction, session) => {
+        // Only one credit can move the deposit out of pending
+        const result = await Deposit.updateOne(
+          { _id: deposit._id, status: 'pending' },
+          { status: 'credited', transactionId: transaction._id, creditedAt: new Date() },
+          { session }
+        );
+        if (result.modifiedCount === 0) {
+          throw new Error('Deposit already credited');
+        }
+      }
+    });
+
+    deposit.status = 'credited';
+    deposit.transactionId = transaction._id;
+    console.log(`Credited ${amount.format(deposit.amount, deposit.currency)} ${deposit.currency} deposit ${deposit.txHash} to user ${deposit.userId}`);
+
+    return transaction;
+  }
+
+  /**
+   * Send a transfer on a simulated chain, for testing deposit flows
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {string} address - Receiving address
+   * @param {number|string} value - Amount in whole coins
+   * @returns {Promise<Object>} - The transfer
+   */
+  async simulateTransfer(currency, address, value) {
+    this.assertCurrency(currency);
+    const adapter = this.simulatedChain();
+
+    const transfer = adapter.simulateTransfer(currency, address, amount.toBaseUnits(value, currency));
+    await this.syncDeposits();
+
+    return amount.serialize({ ...transfer, currency });
+  }
+
+  /**
+   * Mine blocks on a simulated chain and credit the deposits they confirm
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {number} count - Blocks to mine
+   * @returns {Promise<Object>} - New height and the sync result
+   */
+  async mineBlocks(currency, count) {
+    this.assertCurrency(currency);
+    const adapter = this.simulatedChain();
+
+    const height = adapter.mineBlocks(currency, count);
+    const sync = await this.syncDeposits();
+
+    return { currency, height, ...sync };
+  }
+
+  /**
+   * Get the chain adapter if it can simulate transfers
+   * @returns {Object} - Chain adapter
+   */
+  simulatedChain() {
+    const adapter = getChainAdapter();
+    if (typeof adapter.simulateTransfer !== 'function') {
+      throw new Error('The configured chain adapter cannot simulate transfers');
+    }
+    return adapter;
+  }
+
+  /**
+   * Start the chain adapter and poll it for deposits
+   */
+  start() {
+    if (this.pollTimer) return;
+
+    getChainAdapter().start();
+    this.pollTimer = setInterval(() => {
+      this.syncDeposits().catch(error => {
+        console.error('Error syncing deposits:', error.message);
+      });
+    }, config.deposits.pollInterval);
+  }
+
+  /**
+   * Stop polling for deposits
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    getChainAdapter().stop();
+  }
+}
+
+module.exports = new DepositService();
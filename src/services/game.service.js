@@ -1,76 +1,341 @@
-const crypto = require('crypto');
 const config = require('../config/config');
 const GameRound = require('../models/gameRound.model');
 const Transaction = require('../models/transaction.model');
-const Wallet = require('../models/wallet.model');
+const SeedChain = require('../models/seedChain.model');
 const cryptoService = require('./crypto.service');
+const ledgerService = require('./ledger.service');
+const riskService = require('./risk.service');
+const betQuoteService = require('./betQuote.service');
+const provablyFair = require('../utils/provablyFair');
+const { GameError, PriceUnavailableError } = require('../utils/errors');
+const multiplierCurve = require('../utils/multiplierCurve');
+const amount = require('../utils/amount');
+const currencies = require('../utils/currencies');
+
+/**
+ * Read a number sent by a client, as a JSON number or a numeric string
+ * @param {*} value - Value from the request
+ * @returns {number} - The number, NaN for anything else (arrays, booleans, '2abc')
+ */
+const toNumber = (value) => {
+  if (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) {
+    return Number(value);
+  }
+  return NaN;
+};
 
 class GameService {
-  constructor(io) {
+  /**
+   * @param {Object} io - Socket.IO server instance
+   * @param {Object} [table] - Table settings; any game setting given here overrides config.game
+   */
+  constructor(io, table = { id: config.game.defaultTableId }) {
     this.io = io;
+    this.tableId = table.id;
+    this.tableName = table.name || table.id;
+    this.room = `table:${table.id}`; // Socket.IO room of the table's players
+    this.settings = { ...config.game, ...table };
     this.currentRound = null;
-    this.currentMultiplier = config.game.initialMultiplier;
+    this.currentMultiplier = this.settings.initialMultiplier;
     this.isGameRunning = false;
-    this.roundInterval = config.game.roundInterval;
-    this.multiplierUpdateInterval = config.game.multiplierUpdateInterval;
-    this.maxCrashValue = config.game.maxCrashValue;
-    this.growthFactor = config.game.growthFactor;
+    this.pausedAt = null; // Epoch ms the running round was paused at
+    this.roundInterval = this.settings.roundInterval;
+    this.multiplierUpdateInterval = this.settings.multiplierUpdateInterval;
+    this.maxCrashValue = this.settings.maxCrashValue;
+    this.houseEdge = this.settings.houseEdge;
+    this.instantCrashRate = this.settings.instantCrashRate;
+    this.growthRate = this.settings.growthRate;
+    this.waitingTime = this.settings.waitingTime;
+    this.bettingTime = this.settings.bettingTime;
     this.roundNumber = 0;
-    this.multiplierUpdateTimer = null;
+    this.roundStartTime = null; // Epoch ms the multiplier curve is measured from
+    this.crashTime = null; // Epoch ms at which the curve reaches the crash point
+    this.multiplierUpdateTimer = null; // Interval for the sparse multiplier sync ticks
+    this.crashTimer = null; // Timeout that crashes the round at crashTime
     this.roundTimer = null;
     this.activeBets = new Map(); // Map of userId -> bet details
     this.cashedOut = new Set(); // Set of userIds who have cashed out
     this.roundPhase = 'waiting'; // 'betting', 'running', 'ended', 'waiting'
     this.bettingCountdownTimer = null; // Timer for the betting countdown
     this.runningCountdownTimer = null; // Timer for the running phase countdown
+    this.seedChain = []; // Unplayed server seeds from the current hash chain
+    this.seedChainId = null; // Stored chain the seeds come from, null for a chain kept in memory
+    this.seedChainLoading = null; // Chain being resumed or committed, so only one is at a time
+    this.chainCommitment = null; // Published hash of the first seed in the chain
+    this.clientSeed = this.settings.provablyFair.clientSeed; // Salt of the current chain
+    this.recoveryNotices = new Map(); // Map of userId -> refunds from rounds voided on startup
+    this.exposureLimits = {}; // Most the house may lose this round, keyed by currency
+    this.pendingCashouts = new Set(); // Cashouts being paid, awaited before the round is closed
+    this.roundSaves = new WeakMap(); // Latest save of each round, so saves of a round never overlap
+    
+    // Without a salt nothing outside the server's control goes into the crash points
+    if (!this.clientSeed && process.env.NODE_ENV === 'production') {
+      throw new Error(`PROVABLY_FAIR_CLIENT_SEED must be set in production (table ${this.tableId})`);
+    }
+  }
+
+  /**
+   * Broadcast an event to the players at this table
+   * @param {string} event - Event name
+   * @param {Object} [data] - Event payload
+   */
+  emit(event, data = {}) {
+    // Crypto amounts are bigints in memory and go out as decimal strings
+    this.io.to(this.room).emit(event, amount.serialize({ ...data, tableId: this.tableId }));
+  }
+
+  /**
+   * Build a GameRound query scoped to this table
+   * @param {Object} [filter] - Additional filter
+   * @returns {Object} - Query
+   */
+  roundQuery(filter = {}) {
+    // Rounds from before tables existed have no tableId and belong to the default table
+    const tableId = this.tableId === config.game.defaultTableId
+      ? { $in: [this.tableId, null] }
+      : this.tableId;
+    
+    return { tableId, ...filter };
+  }
+
+  /**
+   * Save a round to the database after any save of it still in flight.
+   * Mongoose rejects overlapping saves of one document, and each save writes
+   * everything changed since the last, so chaining them loses nothing.
+   * @param {Object} round - Game round
+   * @returns {Promise<boolean>} - Whether the round was saved; false in demo mode
+   */
+  saveRound(round) {
+    // Check if MongoDB is connected and if the round is a database model
+    const isMongoConnected = require('mongoose').connection.readyState === 1;
+    if (!isMongoConnected || typeof round.save !== 'function') {
+      return Promise.resolve(false);
+    }
+    
+    const previous = this.roundSaves.get(round) || Promise.resolve();
+    const saving = previous.catch(() => {}).then(() => round.save()).then(() => true);
+    this.roundSaves.set(round, saving);
+    
+    return saving;
   }
 
   /**
    * Start the game loop
    */
   async startGameLoop() {
+    // Publish the chain's commitment before its first round
     try {
-      // Get the latest round number from the database
-      const latestRound = await GameRound.findOne().sort({ roundNumber: -1 }).limit(1);
-      this.roundNumber = latestRound ? latestRound.roundNumber : 0;
+      await this.prepareSeedChain();
     } catch (error) {
-      console.error('Error fetching latest round number:', error.message);
-      console.log('Starting with round number 0');
-      this.roundNumber = 0;
+      console.error('Error committing seed chain:', error.message);
     }
-
+    
     // Start the first round
     this.scheduleNextRound();
   }
 
+  /**
+   * Settle rounds a previous process left unfinished, continue the table's round
+   * numbering and resume its stored seed chain. Safe to run while the loop is running.
+   */
+  async syncWithDatabase() {
+    try {
+      await this.recoverInterruptedRounds();
+    } catch (error) {
+      console.error('Error recovering interrupted rounds:', error.message);
+    }
+    
+    try {
+      // Get the latest round number from the database; rounds played without it were never stored
+      const latestRound = await GameRound.findOne(this.roundQuery()).sort({ roundNumber: -1 }).limit(1);
+      this.roundNumber = Math.max(this.roundNumber, latestRound ? latestRound.roundNumber : 0);
+    } catch (error) {
+      console.error('Error fetching latest round number:', error.message);
+    }
+    
+    try {
+      await this.prepareSeedChain();
+    } catch (error) {
+      console.error('Error resuming seed chain:', error.message);
+    }
+  }
+
+  /**
+   * Void rounds left pending or active by a previous process and refund their unsettled bets
+   * @returns {Promise<Array>} - Voided rounds
+   */
+  async recoverInterruptedRounds() {
+    const query = this.roundQuery({ status: { $in: ['pending', 'active'] } });
+    
+    // Never touch the round this process is playing (e.g. after a MongoDB reconnect)
+    if (this.currentRound && typeof this.currentRound.save === 'function') {
+      query._id = { $ne: this.currentRound._id };
+    }
+    
+    const rounds = await GameRound.find(query).sort({ roundNumber: 1 });
+    
+    for (const round of rounds) {
+      const refunds = await this.refundUnsettledBets(round._id);
+      
+      // Every bet without a cashout has now been refunded
+      this.settleRound(round, { uncashedStatus: 'refunded' });
+      round.status = 'voided';
+      round.voidReason = 'server_restart';
+      round.endTime = round.endTime || new Date();
+      await round.save();
+      
+      console.log(`[${this.tableId}] Voided interrupted round ${round.roundNumber}, refunded ${refunds.length} bet(s)`);
+      
+      for (const refund of refunds) {
+        const userId = refund.userId.toString();
+        const notices = this.recoveryNotices.get(userId) || [];
+        notices.push({
+          roundId: round._id,
+          roundNumber: round.roundNumber,
+          reason: round.voidReason,
+          refund: amount.serialize(refund)
+        });
+        this.recoveryNotices.set(userId, notices);
+      }
+      
+      this.emit('game:voided', {
+        roundId: round._id,
+        roundNumber: round.roundNumber,
+        reason: round.voidReason
+      });
+    }
+    
+    return rounds;
+  }
+
+  /**
+   * Refund every bet of a round that was neither cashed out nor already refunded.
+   * Bet transactions are the source of truth, so a bet taken from a wallet but never
+   * pushed onto the round is still refunded. Cashouts and refunds name the bet they
+   * settle, so a player who cancelled and bet again has only the second bet refunded.
+   * Safe to run more than once.
+   * @param {string} gameRoundId - Game round ID
+   * @returns {Promise<Array>} - Refunds made
+   */
+  async refundUnsettledBets(gameRoundId) {
+    const transactions = await Transaction.find({ gameRoundId }).sort({ timestamp: 1, _id: 1 });
+    const settlements = transactions.filter(tx => tx.transactionType === 'cashout' || tx.transactionType === 'refund');
+    const settledBets = new Set(
+      settlements.filter(tx => tx.betTransactionId).map(tx => tx.betTransactionId.toString())
+    );
+    
+    // Settlements recorded before they named their bet each settle one bet of the same user
+    const unlinked = new Map();
+    for (const tx of settlements.filter(tx => !tx.betTransactionId)) {
+      const userId = tx.userId.toString();
+      unlinked.set(userId, (unlinked.get(userId) || 0) + 1);
+    }
+    
+    const refunds = [];
+    for (const bet of transactions.filter(tx => tx.transactionType === 'bet')) {
+      if (settledBets.has(bet._id.toString())) continue;
+      
+      const userId = bet.userId.toString();
+      if (unlinked.get(userId) > 0) {
+        unlinked.set(userId, unlinked.get(userId) - 1);
+        continue;
+      }
+      
+      refunds.push(await this.refundBet({
+        userId: bet.userId,
+        usdAmount: bet.usdAmount,
+        cryptoAmount: bet.cryptoAmount,
+        currency: bet.currency,
+        priceAtTime: bet.priceAtTime,
+        priceSampleId: bet.priceSampleId,
+        gameRoundId,
+        betTransactionId: bet._id
+      }));
+    }
+    
+    return refunds;
+  }
+
+  /**
+   * Return a bet's stake to the player's wallet and record a refund transaction
+   * @param {Object} bet - Bet to refund
+   * @returns {Promise<Object>} - Refund details
+   */
+  async refundBet({ userId, usdAmount, cryptoAmount, currency, priceAtTime, priceSampleId = null, gameRoundId, betTransactionId = null }) {
+    const { transaction } = await ledgerService.credit(userId, currency, cryptoAmount, {
+      usdAmount,
+      transactionType: 'refund',
+      priceAtTime,
+      priceSampleId,
+      gameRoundId,
+      betTransactionId
+    });
+    riskService.recordPayout(currency, cryptoAmount);
+    
+    return {
+      userId,
+      usdAmount,
+      cryptoAmount,
+      currency,
+      transactionId: transaction._id
+    };
+  }
+
+  /**
+   * Hand over, once, the refunds a user got from rounds voided on startup
+   * @param {string} userId - User ID
+   * @returns {Array} - Recovery notices for the user
+   */
+  takeRecoveryNotices(userId) {
+    const notices = this.recoveryNotices.get(userId) || [];
+    this.recoveryNotices.delete(userId);
+    return notices;
+  }
+
   /**
    * Schedule the next game round
    */
   scheduleNextRound() {
-    console.log('Scheduling next round...');
+    console.log(`[${this.tableId}] Scheduling next round...`);
     if (this.roundTimer) clearTimeout(this.roundTimer);
     if (this.bettingCountdownTimer) clearInterval(this.bettingCountdownTimer);
     if (this.runningCountdownTimer) clearInterval(this.runningCountdownTimer);
     this.roundPhase = 'waiting';
-    this.io.emit('game:phase', { phase: 'waiting' });
-    this.io.emit('game:waiting', { nextRoundIn: 7 }); // 7 seconds until next round
+    this.emit('game:phase', { phase: 'waiting' });
+    this.emit('game:waiting', { nextRoundIn: this.waitingTime });
     this.roundTimer = setTimeout(() => {
       this.startBettingPhase();
-    }, 7000);
+    }, this.waitingTime * 1000);
   }
 
-  startBettingPhase() {
-    this.roundPhase = 'betting';
-    this.io.emit('game:phase', { phase: 'betting' });
-    this.io.emit('game:betting', { bettingTime: 3 }); // 3 seconds for betting
+  async startBettingPhase() {
     this.activeBets.clear();
     this.cashedOut.clear();
-    // Do NOT create a plain JS object for currentRound here!
-    let countdown = 3;
-    this.io.emit('game:bettingCountdown', { seconds: countdown });
+    
+    // Create the round up front so its hash is published before any bet is taken
+    try {
+      await this.createRound();
+    } catch (error) {
+      console.error('Error creating round:', error);
+      this.scheduleNextRound();
+      return;
+    }
+    
+    this.roundPhase = 'betting';
+    this.emit('game:phase', { phase: 'betting' });
+    this.emit('game:betting', {
+      bettingTime: this.bettingTime,
+      roundId: this.currentRound._id,
+      roundNumber: this.roundNumber,
+      hash: this.currentRound.hash,
+      clientSeed: this.currentRound.clientSeed,
+      chainCommitment: this.chainCommitment
+    });
+    let countdown = this.bettingTime;
+    this.emit('game:bettingCountdown', { seconds: countdown });
     this.bettingCountdownTimer = setInterval(() => {
       countdown--;
-      this.io.emit('game:bettingCountdown', { seconds: countdown });
+      this.emit('game:bettingCountdown', { seconds: countdown });
       if (countdown <= 0) {
         clearInterval(this.bettingCountdownTimer);
         this.startRound();
@@ -78,63 +343,194 @@ class GameService {
     }, 1000);
   }
 
+  /**
+   * Make sure the table has a committed seed chain: the stored one while the database
+   * is reachable, so no seed is played without its use being recorded, and one kept
+   * in memory otherwise. Concurrent calls share the same work.
+   * @returns {Promise<void>}
+   */
+  prepareSeedChain() {
+    if (!this.seedChainLoading) {
+      this.seedChainLoading = this.loadSeedChain().finally(() => {
+        this.seedChainLoading = null;
+      });
+    }
+    
+    return this.seedChainLoading;
+  }
+
+  /**
+   * Resume the table's stored seed chain, or generate, store and publish a new one
+   * @returns {Promise<void>}
+   */
+  async loadSeedChain() {
+    // Check if MongoDB is connected
+    const isMongoConnected = require('mongoose').connection.readyState === 1;
+    
+    if (this.seedChain.length > 0 && (this.seedChainId !== null) === isMongoConnected) {
+      return;
+    }
+    
+    let chain = null;
+    let seeds;
+    
+    if (isMongoConnected) {
+      chain = await SeedChain.findOne({ tableId: this.tableId, status: 'active' }).select('+terminalSeed');
+      
+      if (chain && chain.played >= chain.length) {
+        await SeedChain.updateOne({ _id: chain._id }, { $set: { status: 'exhausted' } });
+        chain = null;
+      }
+      
+      if (chain) {
+        // Rebuild the chain and skip the seeds already handed out
+        seeds = provablyFair.generateHashChain(chain.length, chain.terminalSeed).seeds.slice(chain.played);
+        console.log(`[${this.tableId}] Resumed seed chain ${chain.commitment} at seed ${chain.played + 1} of ${chain.length}`);
+      }
+    }
+    
+    if (!chain) {
+      const terminalSeed = provablyFair.generateSeed();
+      const length = this.settings.provablyFair.chainLength;
+      const generated = provablyFair.generateHashChain(length, terminalSeed);
+      const fields = {
+        tableId: this.tableId,
+        terminalSeed,
+        length,
+        commitment: generated.commitment,
+        clientSeed: this.settings.provablyFair.clientSeed
+      };
+      
+      // Stored before its commitment is published whenever the database is there
+      chain = isMongoConnected ? await SeedChain.create(fields) : { _id: null, ...fields };
+      seeds = generated.seeds;
+      console.log(`[${this.tableId}] New seed chain committed: ${chain.commitment}`);
+    }
+    
+    this.seedChain = seeds;
+    this.seedChainId = chain._id;
+    this.chainCommitment = chain.commitment;
+    this.clientSeed = chain.clientSeed;
+    this.emit('game:chain', { chainCommitment: this.chainCommitment, clientSeed: this.clientSeed });
+  }
+
+  /**
+   * Take the next server seed from the hash chain. The next chain is committed as soon
+   * as the last seed is taken, so its commitment is out a round before it is played from.
+   * @returns {Promise<{seed: string, clientSeed: string, chainCommitment: string}>} - Server seed
+   *   for the next round and the chain it belongs to
+   */
+  async nextServerSeed() {
+    await this.prepareSeedChain();
+    
+    // Count the seed as played before its hash is published, so a restart never plays it again
+    if (this.seedChainId) {
+      const update = { $inc: { played: 1 } };
+      if (this.seedChain.length === 1) update.$set = { status: 'exhausted' };
+      await SeedChain.updateOne({ _id: this.seedChainId }, update);
+    }
+    
+    const next = {
+      seed: this.seedChain.shift(),
+      clientSeed: this.clientSeed,
+      chainCommitment: this.chainCommitment
+    };
+    
+    if (this.seedChain.length === 0) {
+      this.seedChainId = null;
+      try {
+        await this.prepareSeedChain();
+      } catch (error) {
+        // Retried before the next round
+        console.error('Error committing next seed chain:', error.message);
+      }
+    }
+    
+    return next;
+  }
+
+  /**
+   * Create the next game round in the pending state
+   */
+  async createRound() {
+    // Taken first, so a round whose seed could not be recorded leaves no gap in the numbering
+    const serverSeed = await this.nextServerSeed();
+    
+    this.roundNumber++;
+    
+    // Fix the round's exposure limits against the bankroll as it stands now
+    this.exposureLimits = riskService.getExposureLimits(this.settings.maxRoundExposure);
+    
+    // Generate crash point using provably fair algorithm
+    const { crashPoint, seed, hash, clientSeed, houseEdge, instantCrashRate, maxCrashValue } =
+      provablyFair.generateRound(serverSeed.seed, serverSeed.clientSeed, {
+        houseEdge: this.houseEdge,
+        instantCrashRate: this.instantCrashRate,
+        maxCrashValue: this.maxCrashValue
+      });
+    
+    const roundData = {
+      tableId: this.tableId,
+      roundNumber: this.roundNumber,
+      crashPoint,
+      seed,
+      hash,
+      clientSeed,
+      houseEdge,
+      instantCrashRate,
+      maxCrashValue,
+      chainCommitment: serverSeed.chainCommitment,
+      status: 'pending',
+      bets: [],
+      cashouts: []
+    };
+    
+    // Check if MongoDB is connected
+    const isMongoConnected = require('mongoose').connection.readyState === 1;
+    
+    if (isMongoConnected) {
+      // Create a new game round in the database
+      this.currentRound = new GameRound(roundData);
+      await this.saveRound(this.currentRound);
+    } else {
+      // Fallback: create a plain JS object for demo mode
+      this.currentRound = {
+        _id: `demo-round-${this.tableId}-${this.roundNumber}`,
+        startTime: new Date(),
+        ...roundData
+      };
+    }
+  }
+
   /**
    * Start a new game round
    */
   async startRound() {
     try {
-      this.roundNumber++;
-      this.isGameRunning = true;
-      this.currentMultiplier = config.game.initialMultiplier;
+      this.currentMultiplier = this.settings.initialMultiplier;
       this.roundPhase = 'running';
-      this.io.emit('game:phase', { phase: 'running' });
+      this.emit('game:phase', { phase: 'running' });
       
-      // Generate crash point using provably fair algorithm
-      const { crashPoint, seed, hash } = this.generateCrashPoint(this.roundNumber);
+      const crashPoint = this.currentRound.crashPoint;
+      this.currentRound.startTime = new Date();
+      this.currentRound.status = 'active';
       
-      // Check if MongoDB is connected
-      const isMongoConnected = require('mongoose').connection.readyState === 1;
+      await this.saveRound(this.currentRound);
       
-      if (isMongoConnected) {
-        // Create a new game round in the database
-        this.currentRound = new GameRound({
-          roundNumber: this.roundNumber,
-          startTime: new Date(),
-          crashPoint,
-          seed,
-          hash,
-          status: 'active',
-          bets: [],
-          cashouts: []
-        });
-        
-        await this.currentRound.save();
-      } else {
-        // Fallback: create a plain JS object for demo mode
-        this.currentRound = {
-          _id: `demo-round-${this.roundNumber}`,
-          roundNumber: this.roundNumber,
-          startTime: new Date(),
-          crashPoint,
-          seed,
-          hash,
-          status: 'active',
-          bets: [],
-          cashouts: []
-        };
-      }
-      
-      console.log(`Round ${this.roundNumber} started with crash point: ${crashPoint}x`);
-      
-      // Broadcast round start to clients
-      this.io.emit('game:started', {
+      console.log(`[${this.tableId}] Round ${this.roundNumber} started with crash point: ${crashPoint}x`);
+      
+      // Broadcast round start to clients, with everything needed to draw the curve locally
+      this.emit('game:started', {
         roundId: this.currentRound._id,
         roundNumber: this.roundNumber,
-        startTime: this.currentRound.startTime
+        startTime: this.currentRound.startTime,
+        growthRate: this.growthRate,
+        hash: this.currentRound.hash
       });
       
       // Start updating the multiplier
-      this.startMultiplierUpdates(crashPoint);
+      this.isGameRunning = true;
+      this.startMultiplierUpdates(crashPoint, this.currentRound.startTime.getTime());
     } catch (error) {
       console.error('Error starting round:', error);
       this.scheduleNextRound();
@@ -144,39 +540,60 @@ class GameService {
 
 
   /**
-   * Start updating the multiplier until it reaches the crash point
+   * Start the multiplier curve and schedule the crash
    * @param {number} crashPoint - The multiplier at which the game will crash
+   * @param {number} [startTime] - Epoch ms the curve starts from
    */
-  startMultiplierUpdates(crashPoint) {
-    const startTime = Date.now();
+  startMultiplierUpdates(crashPoint, startTime = Date.now()) {
+    this.roundStartTime = startTime;
+    this.crashTime = startTime + multiplierCurve.elapsedForMultiplier(crashPoint, this.growthRate);
     
     // Clear any existing timer
-    if (this.multiplierUpdateTimer) {
-      clearInterval(this.multiplierUpdateTimer);
-    }
-    if (this.runningCountdownTimer) {
-      clearInterval(this.runningCountdownTimer);
-    }
+    this.clearRunningTimers();
     
-    // Update the multiplier at regular intervals
+    // Send sparse sync ticks; clients draw the curve from startTime in between
     this.multiplierUpdateTimer = setInterval(() => {
-      const timeElapsed = Date.now() - startTime;
-      
-      // Calculate the current multiplier using exponential growth formula
-      this.currentMultiplier = config.game.initialMultiplier + (timeElapsed * this.growthFactor);
+      const now = Date.now();
+      this.currentMultiplier = this.getMultiplierAt(now);
       
-      // Broadcast the current multiplier to clients
-      this.io.emit('game:multiplier', {
+      this.emit('game:multiplier', {
         multiplier: this.currentMultiplier.toFixed(2),
-        roundId: this.currentRound._id
+        roundId: this.currentRound._id,
+        elapsed: now - this.roundStartTime,
+        serverTime: now
       });
       
-      // Check if the game should crash
-      if (this.currentMultiplier >= crashPoint) {
-        if (this.runningCountdownTimer) clearInterval(this.runningCountdownTimer);
-        this.crashGame();
-      }
+      // Settle any auto-cashout targets the multiplier has reached
+      this.processAutoCashouts(this.currentMultiplier);
     }, this.multiplierUpdateInterval);
+    
+    // The crash time is known in advance from the crash point
+    this.crashTimer = setTimeout(() => {
+      this.currentMultiplier = crashPoint;
+      
+      // Auto cashouts at or below the crash point still win
+      this.processAutoCashouts(crashPoint);
+      this.crashGame();
+    }, Math.max(this.crashTime - Date.now(), 0));
+  }
+
+  /**
+   * Stop the sync ticks and the pending crash
+   */
+  clearRunningTimers() {
+    if (this.multiplierUpdateTimer) clearInterval(this.multiplierUpdateTimer);
+    if (this.crashTimer) clearTimeout(this.crashTimer);
+    if (this.runningCountdownTimer) clearInterval(this.runningCountdownTimer);
+  }
+
+  /**
+   * Multiplier on the current round's curve at a given moment
+   * @param {number} timestamp - Epoch ms
+   * @returns {number} - Multiplier, never above the crash point
+   */
+  getMultiplierAt(timestamp) {
+    const multiplier = multiplierCurve.multiplierAt(timestamp - this.roundStartTime, this.growthRate);
+    return Math.min(multiplier, this.currentRound.crashPoint);
   }
 
   /**
@@ -184,145 +601,132 @@ class GameService {
    */
   async crashGame() {
     // Stop the multiplier updates
-    if (this.multiplierUpdateTimer) {
-      clearInterval(this.multiplierUpdateTimer);
-    }
-    if (this.runningCountdownTimer) {
-      clearInterval(this.runningCountdownTimer);
-    }
+    this.clearRunningTimers();
     
     this.isGameRunning = false;
     this.roundPhase = 'ended';
-    this.io.emit('game:phase', { phase: 'ended' });
+    this.emit('game:phase', { phase: 'ended' });
     
     // Update the game round in the database
     if (this.currentRound) {
+      // Let cashouts already being paid finish, so the round is closed with their outcome
+      await Promise.allSettled(this.pendingCashouts);
+      
       this.currentRound.endTime = new Date();
       this.currentRound.status = 'completed';
+      this.settleRound(this.currentRound);
+      this.reportOpenExposure();
       
-      // Check if MongoDB is connected and if the currentRound is a database model
-      const isMongoConnected = require('mongoose').connection.readyState === 1;
-      if (isMongoConnected && typeof this.currentRound.save === 'function') {
-        try {
-          await this.currentRound.save();
-        } catch (error) {
-          console.error('Error saving game round:', error.message);
+      try {
+        if (!(await this.saveRound(this.currentRound))) {
+          console.log('Running in demo mode: Game round not saved to database');
         }
-      } else {
-        console.log('Running in demo mode: Game round not saved to database');
+      } catch (error) {
+        console.error('Error saving game round:', error.message);
       }
       
-      console.log(`Round ${this.roundNumber} crashed at ${this.currentRound.crashPoint}x`);
+      console.log(`[${this.tableId}] Round ${this.roundNumber} crashed at ${this.currentRound.crashPoint}x`);
       
       // Broadcast crash to clients
-      this.io.emit('game:crashed', {
+      this.emit('game:crashed', {
         roundId: this.currentRound._id,
+        roundNumber: this.currentRound.roundNumber,
         crashPoint: this.currentRound.crashPoint,
         hash: this.currentRound.hash,
-        seed: this.currentRound.seed
+        seed: this.currentRound.seed,
+        clientSeed: this.currentRound.clientSeed
       });
     }
     
     // Schedule the next round
-    setTimeout(() => {
+    this.roundTimer = setTimeout(() => {
       this.scheduleNextRound();
     }, 1000); // 1 second to show results before next round
   }
 
-  /**
-   * Generate a crash point using a provably fair algorithm
-   * @param {number} roundNumber - The current round number
-   * @returns {Object} - Object containing crashPoint, seed, and hash
-   */
-  generateCrashPoint(roundNumber) {
-    // Generate a random seed
-    const seed = crypto.randomBytes(32).toString('hex');
-    
-    // Create a hash from the seed and round number
-    const hash = crypto.createHash('sha256')
-      .update(`${seed}:${roundNumber}`)
-      .digest('hex');
-    
-    // Use the first 8 characters of the hash to generate a number between 1 and maxCrashValue
-    const hashFragment = hash.slice(0, 8);
-    const decimal = parseInt(hashFragment, 16);
-    
-    // Calculate crash point with 2 decimal places
-    // Ensure minimum crash point is 1.0
-    let crashPoint = 1.0 + (decimal % this.maxCrashValue);
-    
-    // Ensure crash point has 2 decimal places
-    crashPoint = parseFloat(crashPoint.toFixed(2));
-    
-    return { crashPoint, seed, hash };
-  }
-
   /**
    * Place a bet for a user
    * @param {string} userId - User ID
    * @param {number} usdAmount - Bet amount in USD
    * @param {string} currency - Cryptocurrency to bet with (BTC, ETH)
+   * @param {number} [autoCashoutAt] - Optional multiplier at which the server cashes out automatically
+   * @param {string} [quoteId] - Bet quote to place the bet at; its amounts and price are used exactly
    * @returns {Promise<Object>} - Bet details
    */
-  async placeBet(userId, usdAmount, currency) {
+  async placeBet(userId, usdAmount, currency, autoCashoutAt = null, quoteId = null) {
     try {
+      // A quote fixes the stake; anything sent alongside it has to agree
+      let quote = null;
+      if (quoteId) {
+        quote = betQuoteService.verifyQuote(quoteId, userId, this.tableId);
+        if ((usdAmount !== null && usdAmount !== undefined && Number(usdAmount) !== quote.usdAmount) ||
+            (currency && currency !== quote.currency)) {
+          throw new GameError('QUOTE_MISMATCH', 'Bet amount and currency must match the quote');
+        }
+        usdAmount = quote.usdAmount;
+        currency = quote.currency;
+      }
+      
       // Validate inputs
-      if (!userId || usdAmount <= 0 || !currency) {
-        throw new Error('Invalid bet parameters');
+      usdAmount = toNumber(usdAmount);
+      if (!userId || !(Number.isFinite(usdAmount) && usdAmount > 0) || typeof currency !== 'string' || !currency) {
+        throw new GameError('INVALID_BET', 'Invalid bet parameters');
+      }
+      
+      if (autoCashoutAt !== null && autoCashoutAt !== undefined) {
+        autoCashoutAt = toNumber(autoCashoutAt);
+        if (!Number.isFinite(autoCashoutAt) || autoCashoutAt < this.settings.minAutoCashout) {
+          throw new GameError('INVALID_AUTO_CASHOUT', `Invalid auto cashout: must be at least ${this.settings.minAutoCashout}x`);
+        }
+        // Auto cashouts are paid at exactly the target, so keep it to 2 decimals
+        autoCashoutAt = parseFloat(autoCashoutAt.toFixed(2));
+      } else {
+        autoCashoutAt = null;
       }
       
-      if (!config.cryptoApi.supportedCurrencies.includes(currency)) {
-        throw new Error(`Unsupported currency: ${currency}`);
+      if (!currencies.isEnabled(currency)) {
+        throw new GameError('UNSUPPORTED_CURRENCY', `Unsupported currency: ${currency}`);
       }
       
       // Only allow bets during the betting phase
       if (this.roundPhase !== 'betting') {
-        throw new Error('Betting is closed for this round');
+        throw new GameError('BETTING_CLOSED', 'Betting is closed for this round', 409);
       }
       
       // Check if user already has an active bet
       if (this.activeBets.has(userId)) {
-        throw new Error('User already has an active bet for this round');
+        throw new GameError('BET_ALREADY_PLACED', 'User already has an active bet for this round', 409);
       }
       
-      // Convert USD to cryptocurrency
-      const { cryptoAmount, price } = await cryptoService.usdToCrypto(usdAmount, currency);
+      // Convert USD to cryptocurrency at the quoted price, or the current one without a quote;
+      // without a current price, betting in the currency is suspended
+      let cryptoAmount;
+      let price;
+      let priceSampleId;
+      if (quote) {
+        ({ cryptoAmount, price, priceSampleId } = quote);
+      } else {
+        try {
+          ({ cryptoAmount, price, priceSampleId } = await cryptoService.usdToCrypto(usdAmount, currency));
+        } catch (error) {
+          if (error instanceof PriceUnavailableError) {
+            throw new GameError('BETTING_SUSPENDED', `Betting in ${currency} is suspended until a current price is available`, 503);
+          }
+          throw error;
+        }
+      }
       
-      // Check if MongoDB is connected
-      const isMongoConnected = require('mongoose').connection.readyState === 1;
-      let transactionId = `demo-tx-${Date.now()}`;
+      const limits = this.checkBetLimits(cryptoAmount, currency);
       
-      if (isMongoConnected) {
-        // Get user's wallet
-        const wallet = await Wallet.findOne({ userId });
-        if (!wallet) {
-          throw new Error('Wallet not found');
-        }
-        
-        // Check if user has enough balance
-        if (wallet.balances[currency] < cryptoAmount) {
-          throw new Error(`Insufficient ${currency} balance`);
-        }
-        
-        // Deduct the bet amount from the wallet
-        await wallet.updateBalance(currency, -cryptoAmount);
-        
-        // Create a transaction record with proper gameRoundId
-        const gameRoundId = this.currentRound && this.currentRound._id ? this.currentRound._id : undefined;
-        const transaction = new Transaction({
-          userId,
-          usdAmount,
-          cryptoAmount,
-          currency,
-          transactionType: 'bet',
-          priceAtTime: price,
-          gameRoundId: gameRoundId
-        });
-        
-        await transaction.save();
-        transactionId = transaction._id;
-      } else {
-        console.log('Running in demo mode: Bet processed without database updates');
+      // Re-check now that the price lookup has resolved
+      if (this.roundPhase !== 'betting') {
+        throw new GameError('BETTING_CLOSED', 'Betting is closed for this round', 409);
+      }
+      if (this.activeBets.has(userId)) {
+        throw new GameError('BET_ALREADY_PLACED', 'User already has an active bet for this round', 409);
+      }
+      if (quote && quote.expiresAt <= new Date()) {
+        throw new GameError('QUOTE_EXPIRED', 'Bet quote has expired, please request a new one', 410);
       }
       
       // Store the bet details
@@ -331,28 +735,92 @@ class GameService {
         usdAmount,
         cryptoAmount,
         currency,
-        transactionId
+        priceAtTime: price,
+        priceSampleId,
+        betQuoteId: quote ? quote.id : null,
+        autoCashoutAt,
+        // The bet is cashed out automatically once its profit reaches the cap
+        maxProfitAt: Number((100n * (cryptoAmount + amount.toBaseUnits(limits.maxProfit, currency))) / cryptoAmount) / 100,
+        transactionId: null,
+        status: 'pending'
       };
       
+      // The round must leave room for the bet to win at least the minimum auto cashout
+      if (this.getExposureLimitMultiplier(currency, betDetails) < this.settings.minAutoCashout) {
+        throw new GameError(
+          'ROUND_EXPOSURE_EXCEEDED',
+          `This round has reached its ${currency} exposure limit, please bet on a later round`
+        );
+      }
+      
+      // Nor may it take the rounds open on every table over the house's limit
+      if (!riskService.canTakeExposure(this.tableId, currency, this.getRoundExposure(currency, betDetails))) {
+        throw new GameError(
+          'HOUSE_EXPOSURE_EXCEEDED',
+          `The house has reached its ${currency} exposure limit across tables, please bet on a later round`
+        );
+      }
+      
+      // Reserve the seat and use up the quote synchronously so concurrent requests can't both pass the checks above
+      if (quote) {
+        betQuoteService.consume(quote);
+      }
       this.activeBets.set(userId, betDetails);
+      this.reportOpenExposure();
+      const round = this.currentRound;
+      
+      // Check if MongoDB is connected
+      const isMongoConnected = require('mongoose').connection.readyState === 1;
+      let transactionId = `demo-tx-${Date.now()}`;
+      
+      try {
+        if (isMongoConnected) {
+          // Deduct the bet amount from the wallet, failing if the balance can't cover it
+          const gameRoundId = round && round._id ? round._id : undefined;
+          const { transaction } = await ledgerService.debit(userId, currency, cryptoAmount, {
+            usdAmount,
+            transactionType: 'bet',
+            priceAtTime: price,
+            priceSampleId,
+            betQuoteId: betDetails.betQuoteId,
+            gameRoundId: gameRoundId,
+            autoCashoutAt
+          });
+          
+          transactionId = transaction._id;
+        } else {
+          console.log('Running in demo mode: Bet processed without database updates');
+        }
+      } catch (error) {
+        this.activeBets.delete(userId);
+        this.reportOpenExposure();
+        if (quote) betQuoteService.release(quote);
+        throw error;
+      }
+      
+      betDetails.transactionId = transactionId;
+      riskService.recordBet(currency, cryptoAmount);
+      
+      // The round was voided while the stake was being taken; give it straight back
+      if (round && round.status === 'voided') {
+        await this.refundActiveBet(userId, betDetails, round);
+        throw new Error('Cannot place bet: the round was voided');
+      }
       
       // If a round is active, add the bet to the round
-      if (this.currentRound) {
-        this.currentRound.bets.push(betDetails);
+      if (round) {
+        round.bets.push(betDetails);
         
-        // Save to database only if MongoDB is connected and currentRound is a database model
-        if (isMongoConnected && typeof this.currentRound.save === 'function') {
-          try {
-            await this.currentRound.save();
-          } catch (error) {
-            console.error('Error saving bet to game round:', error.message);
-          }
+        try {
+          await this.saveRound(round);
+        } catch (error) {
+          console.error('Error saving bet to game round:', error.message);
         }
       }
       
       return {
         success: true,
-        bet: betDetails
+        bet: amount.serialize(betDetails)
       };
     } catch (error) {
       console.error('Error placing bet:', error);
@@ -361,29 +829,159 @@ class GameService {
   }
 
   /**
-   * Cash out a user's bet
+   * Quote a bet at this table, locking the price it will be placed at
    * @param {string} userId - User ID
-   * @returns {Promise<Object>} - Cashout details
+   * @param {number} usdAmount - Bet amount in USD
+   * @param {string} currency - Cryptocurrency to bet with (BTC, ETH)
+   * @returns {Promise<Object>} - Quote with its signed ID, rate, crypto amount and expiry
    */
-  async cashOut(userId) {
-    try {
-      // Validate inputs
-      if (!userId) {
-        throw new Error('Invalid user ID');
-      }
-      
-      // Check if a round is active
-      if (!this.isGameRunning) {
-        throw new Error('No active round to cash out from');
-      }
-      
-      // Only allow cashout during the running phase
-      if (this.roundPhase !== 'running') {
-        throw new Error('Cashout is only allowed while the game is running');
-      }
-      
-      // Check if user has an active bet
-      if (!this.activeBets.has(userId)) {
+  async quoteBet(userId, usdAmount, currency) {
+    usdAmount = toNumber(usdAmount);
+    if (!userId || !(Number.isFinite(usdAmount) && usdAmount > 0) || typeof currency !== 'string' || !currency) {
+      throw new GameError('INVALID_BET', 'Invalid bet parameters');
+    }
+    
+    if (!currencies.isEnabled(currency)) {
+      throw new GameError('UNSUPPORTED_CURRENCY', `Unsupported currency: ${currency}`);
+    }
+    
+    const quote = await betQuoteService.createQuote({ userId, tableId: this.tableId, usdAmount, currency });
+    
+    // Don't hand out a quote the bet would be turned down at anyway
+    this.checkBetLimits(quote.cryptoAmount, currency);
+    
+    return betQuoteService.serializeQuote(quote);
+  }
+
+  /**
+   * Return the stake of a bet in the current round to the player's wallet
+   * @param {string} userId - User ID
+   * @param {Object} bet - Active bet
+   * @param {Object} [round] - Round the bet was placed on
+   * @returns {Promise<Object>} - Refund details
+   */
+  async refundActiveBet(userId, bet, round = this.currentRound) {
+    // Check if MongoDB is connected
+    const isMongoConnected = require('mongoose').connection.readyState === 1;
+    
+    if (!isMongoConnected) {
+      console.log('Running in demo mode: Bet refunded without database updates');
+      riskService.recordPayout(bet.currency, bet.cryptoAmount);
+      return {
+        userId,
+        usdAmount: bet.usdAmount,
+        cryptoAmount: bet.cryptoAmount,
+        currency: bet.currency,
+        transactionId: `demo-refund-${Date.now()}`
+      };
+    }
+    
+    return this.refundBet({
+      userId,
+      usdAmount: bet.usdAmount,
+      cryptoAmount: bet.cryptoAmount,
+      currency: bet.currency,
+      priceAtTime: bet.priceAtTime, // Use the same price as the bet
+      priceSampleId: bet.priceSampleId,
+      gameRoundId: round._id,
+      betTransactionId: bet.transactionId
+    });
+  }
+
+  /**
+   * Cancel a user's bet while betting is still open and refund the stake
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Cancelled bet and refund details
+   */
+  async cancelBet(userId) {
+    try {
+      if (!userId) {
+        throw new Error('Invalid user ID');
+      }
+      
+      // Only allow cancelling during the betting phase
+      if (this.roundPhase !== 'betting') {
+        throw new Error('Cannot cancel bet: betting is closed for this round');
+      }
+      
+      const bet = this.activeBets.get(userId);
+      if (!bet || bet.cancelling) {
+        throw new Error('No active bet found for this user');
+      }
+      
+      // A bet still being placed has not been charged yet
+      if (!bet.transactionId) {
+        throw new Error('Cannot cancel bet: the bet is still being placed');
+      }
+      
+      // Claim the cancellation before any await so it can only refund once
+      bet.cancelling = true;
+      
+      let refund;
+      try {
+        refund = await this.refundActiveBet(userId, bet);
+      } catch (error) {
+        delete bet.cancelling;
+        throw error;
+      }
+      
+      this.activeBets.delete(userId);
+      this.reportOpenExposure();
+      
+      // Remove the bet from the round
+      if (this.currentRound) {
+        this.currentRound.bets = this.currentRound.bets.filter(entry => entry.userId.toString() !== userId);
+        
+        try {
+          await this.saveRound(this.currentRound);
+        } catch (error) {
+          console.error('Error removing bet from game round:', error.message);
+        }
+      }
+      
+      // Broadcast the removal to clients
+      this.emit('game:bet:cancelled', {
+        userId,
+        roundId: this.currentRound ? this.currentRound._id : null,
+        currency: bet.currency
+      });
+      
+      return {
+        success: true,
+        refund: amount.serialize(refund)
+      };
+    } catch (error) {
+      console.error('Error cancelling bet:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cash out a user's bet, priced on the curve at the moment the request was received
+   * @param {string} userId - User ID
+   * @param {number} [receivedAt] - Epoch ms the server received the cashout request
+   * @returns {Promise<Object>} - Cashout details
+   */
+  async cashOut(userId, receivedAt = Date.now()) {
+    try {
+      // Validate inputs
+      if (!userId) {
+        throw new Error('Invalid user ID');
+      }
+      
+      // Check if a round is active
+      if (!this.isGameRunning) {
+        throw new Error('No active round to cash out from');
+      }
+      
+      // Only allow cashout during the running phase
+      if (this.roundPhase !== 'running') {
+        throw new Error('Cashout is only allowed while the game is running');
+      }
+      
+      // Check if user has an active bet; one being cancelled is refunded instead
+      const bet = this.activeBets.get(userId);
+      if (!bet || bet.cancelling) {
         throw new Error('No active bet found for this user');
       }
       
@@ -392,12 +990,217 @@ class GameService {
         throw new Error('User has already cashed out');
       }
       
-      // Get the bet details
-      const bet = this.activeBets.get(userId);
+      // The curve reached the crash point before the request arrived
+      if (receivedAt >= this.crashTime) {
+        throw new Error('Cannot cash out: the round has already crashed');
+      }
+      
+      const multiplier = this.getMultiplierAt(receivedAt);
+      const target = this.getCashoutTarget(bet);
+      
+      // A target the curve already passed is paid at the target, as the server would have
+      if (target && target.multiplier <= multiplier) {
+        return await this.settleCashout(userId, target.multiplier, { reason: target.reason });
+      }
+      
+      return await this.settleCashout(userId, multiplier);
+    } catch (error) {
+      console.error('Error cashing out:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a stake outside the currency's bet limits at this table
+   * @param {bigint} cryptoAmount - Stake in base units
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @returns {Object} - The limits the stake was checked against
+   */
+  checkBetLimits(cryptoAmount, currency) {
+    const limits = this.getBetLimits(currency);
+    if (cryptoAmount < amount.toBaseUnits(limits.minBet, currency)) {
+      throw new GameError('BET_BELOW_MINIMUM', `Bet is below the minimum of ${limits.minBet} ${currency}`);
+    }
+    if (cryptoAmount > amount.toBaseUnits(limits.maxBet, currency)) {
+      throw new GameError('BET_ABOVE_MAXIMUM', `Bet is above the maximum of ${limits.maxBet} ${currency}`);
+    }
+
+    return limits;
+  }
+
+  /**
+   * Bet limits of a currency at this table: the registry's, with any table override on top
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @returns {Object} - minBet, maxBet and maxProfit in whole coins
+   */
+  getBetLimits(currency) {
+    const { minBet, maxBet, maxProfit } = currencies.get(currency);
+    const override = this.settings.limits && this.settings.limits[currency];
+
+    return { minBet, maxBet, maxProfit, ...override };
+  }
+
+  /**
+   * Multiplier at which the house reaches this round's exposure limit in a currency.
+   * Exposure is the profit already paid on cashed-out bets plus what every open bet
+   * would win at that multiplier.
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {Object} [extraBet] - A bet not yet placed to include in the calculation
+   * @returns {number} - Multiplier, Infinity if nothing is at risk
+   */
+  getExposureLimitMultiplier(currency, extraBet = null) {
+    let realizedProfit = 0n;
+    let openStakes = 0n;
+    
+    for (const [userId, bet] of this.activeBets) {
+      if (bet.currency !== currency) continue;
       
-      // Calculate the payout
-      const multiplier = this.currentMultiplier;
-      const cryptoPayout = bet.cryptoAmount * multiplier;
+      if (this.cashedOut.has(userId)) {
+        realizedProfit += amount.applyMultiplier(bet.cryptoAmount, bet.cashoutMultiplier) - bet.cryptoAmount;
+      } else {
+        openStakes += bet.cryptoAmount;
+      }
+    }
+    
+    if (extraBet) {
+      openStakes += extraBet.cryptoAmount;
+    }
+    
+    if (openStakes === 0n) {
+      return Infinity;
+    }
+    
+    // floor(100 * (1 + remaining / openStakes)) / 100, in integers
+    const remaining = (this.exposureLimits[currency] || 0n) - realizedProfit;
+    return Math.max(Number((100n * (openStakes + remaining)) / openStakes) / 100, 1.0);
+  }
+
+  /**
+   * Most the house can still lose on this round in a currency: the profit paid on
+   * cashed-out bets plus what every open bet wins at its auto cashout or profit cap,
+   * and never more than the round's exposure limit
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {Object} [extraBet] - A bet not yet placed to include in the calculation
+   * @returns {bigint} - Exposure in base units
+   */
+  getRoundExposure(currency, extraBet = null) {
+    let exposure = 0n;
+    
+    for (const bet of extraBet ? [...this.activeBets.values(), extraBet] : this.activeBets.values()) {
+      if (bet.currency !== currency) continue;
+      
+      const multiplier = bet.cashoutMultiplier !== undefined
+        ? bet.cashoutMultiplier
+        : Math.min(bet.autoCashoutAt || Infinity, bet.maxProfitAt);
+      exposure += amount.applyMultiplier(bet.cryptoAmount, multiplier) - bet.cryptoAmount;
+    }
+    
+    const limit = this.exposureLimits[currency] || 0n;
+    return exposure < limit ? exposure : limit;
+  }
+
+  /**
+   * Tell the risk service how much this table's round can still lose, so bets on
+   * other tables are checked against it; nothing once the round is over
+   */
+  reportOpenExposure() {
+    const exposure = {};
+    
+    if (['betting', 'running', 'paused'].includes(this.roundPhase)) {
+      for (const currency of currencies.symbols()) {
+        exposure[currency] = this.getRoundExposure(currency);
+      }
+    }
+    
+    riskService.setOpenExposure(this.tableId, exposure);
+  }
+
+  /**
+   * Lowest multiplier at which the server will cash a bet out by itself
+   * @param {Object} bet - Active bet
+   * @returns {{multiplier: number, reason: string}|null} - Target, or null if there is none
+   */
+  getCashoutTarget(bet) {
+    // A bet being cancelled is refunded, never cashed out
+    if (bet.cancelling) {
+      return null;
+    }
+    
+    const targets = [
+      { multiplier: bet.autoCashoutAt, reason: 'auto' },
+      { multiplier: bet.maxProfitAt, reason: 'max_profit' },
+      { multiplier: this.getExposureLimitMultiplier(bet.currency), reason: 'exposure_limit' }
+    ].filter(target => target.multiplier && target.multiplier !== Infinity);
+    
+    return targets.reduce((lowest, target) => (
+      !lowest || target.multiplier < lowest.multiplier ? target : lowest
+    ), null);
+  }
+
+  /**
+   * Cash out every bet whose auto-cashout target, profit cap or exposure limit has been reached
+   * @param {number} multiplier - Highest multiplier reached so far this round
+   */
+  processAutoCashouts(multiplier) {
+    // Work out every target before settling any, since each cashout moves the exposure limit
+    const due = [];
+    for (const [userId, bet] of this.activeBets) {
+      if (this.cashedOut.has(userId) || bet.cancelling) continue;
+      
+      const target = this.getCashoutTarget(bet);
+      if (target && target.multiplier <= multiplier) {
+        due.push({ userId, target });
+      }
+    }
+    
+    for (const { userId, target } of due) {
+      this.settleCashout(userId, target.multiplier, { reason: target.reason }).catch(error => {
+        console.error(`Error auto cashing out user ${userId}:`, error.message);
+      });
+    }
+  }
+
+  /**
+   * Pay out a bet at the given multiplier and record the cashout.
+   * The cashout is tracked until it settles so the round isn't closed under it.
+   * @param {string} userId - User ID
+   * @param {number} multiplier - Multiplier to pay the bet at
+   * @param {Object} [options]
+   * @param {string} [options.reason] - Why the bet was cashed out: manual, auto, max_profit or exposure_limit
+   * @returns {Promise<Object>} - Cashout details
+   */
+  settleCashout(userId, multiplier, options) {
+    const settling = this.payCashout(userId, multiplier, options);
+    this.pendingCashouts.add(settling);
+    settling.catch(() => {}).finally(() => this.pendingCashouts.delete(settling));
+    
+    return settling;
+  }
+
+  /**
+   * Pay out a bet and record the cashout; see settleCashout
+   * @param {string} userId - User ID
+   * @param {number} multiplier - Multiplier to pay the bet at
+   * @param {Object} [options]
+   * @param {string} [options.reason] - Why the bet was cashed out
+   * @returns {Promise<Object>} - Cashout details
+   */
+  async payCashout(userId, multiplier, { reason = 'manual' } = {}) {
+    const bet = this.activeBets.get(userId);
+    const round = this.currentRound;
+    const auto = reason !== 'manual';
+    
+    if (!bet || bet.cancelling || this.cashedOut.has(userId)) {
+      throw new Error('No active bet found for this user');
+    }
+    
+    // Claim the cashout before any await so a manual and an auto cashout can't both pay
+    this.cashedOut.add(userId);
+    bet.cashoutMultiplier = multiplier;
+    
+    try {
+      // Calculate the payout, rounded down to the base unit
+      const cryptoPayout = amount.applyMultiplier(bet.cryptoAmount, multiplier);
       const usdPayout = bet.usdAmount * multiplier;
       
       // Check if MongoDB is connected
@@ -405,36 +1208,28 @@ class GameService {
       let transactionId = `demo-cashout-${Date.now()}`;
       
       if (isMongoConnected) {
-        // Get user's wallet
-        const wallet = await Wallet.findOne({ userId });
-        if (!wallet) {
-          throw new Error('Wallet not found');
-        }
-        
         // Add the payout to the wallet
-        await wallet.updateBalance(bet.currency, cryptoPayout);
-        
-        // Create a transaction record with proper gameRoundId
-        const gameRoundId = this.currentRound && this.currentRound._id ? this.currentRound._id : undefined;
-        const transaction = new Transaction({
-          userId,
+        const gameRoundId = round && round._id ? round._id : undefined;
+        const { transaction } = await ledgerService.credit(userId, bet.currency, cryptoPayout, {
           usdAmount: usdPayout,
-          cryptoAmount: cryptoPayout,
-          currency: bet.currency,
           transactionType: 'cashout',
-          priceAtTime: bet.usdAmount / bet.cryptoAmount, // Use the same price as the bet
+          priceAtTime: bet.priceAtTime, // Use the same price as the bet
+          priceSampleId: bet.priceSampleId,
           gameRoundId: gameRoundId,
-          multiplier
+          betTransactionId: bet.transactionId,
+          multiplier,
+          autoCashoutAt: bet.autoCashoutAt,
+          auto,
+          cashoutReason: reason
         });
         
-        await transaction.save();
         transactionId = transaction._id;
       } else {
         console.log('Running in demo mode: Cashout processed without database updates');
       }
       
-      // Mark user as cashed out
-      this.cashedOut.add(userId);
+      riskService.recordPayout(bet.currency, cryptoPayout);
+      this.reportOpenExposure();
       
       // Add the cashout to the round
       const cashoutDetails = {
@@ -443,53 +1238,150 @@ class GameService {
         cryptoAmount: cryptoPayout,
         currency: bet.currency,
         multiplier,
+        auto,
+        reason,
         timestamp: new Date(),
         transactionId
       };
       
-      if (this.currentRound) {
-        this.currentRound.cashouts.push(cashoutDetails);
+      if (round) {
+        round.cashouts.push(cashoutDetails);
+        this.settleRoundBet(round, userId, 'won', cryptoPayout, multiplier);
         
-        // Save to database only if MongoDB is connected and currentRound is a database model
-        if (isMongoConnected && typeof this.currentRound.save === 'function') {
-          try {
-            await this.currentRound.save();
-          } catch (error) {
-            console.error('Error saving cashout to game round:', error.message);
-          }
+        try {
+          await this.saveRound(round);
+        } catch (error) {
+          console.error('Error saving cashout to game round:', error.message);
         }
       }
       
       // Broadcast the cashout to clients
-      this.io.emit('game:cashout', {
+      this.emit('game:cashout', {
         userId,
         multiplier,
         usdAmount: usdPayout,
         cryptoAmount: cryptoPayout,
-        currency: bet.currency
+        currency: bet.currency,
+        auto,
+        reason
       });
       
       return {
         success: true,
-        cashout: cashoutDetails
+        cashout: amount.serialize(cashoutDetails)
       };
     } catch (error) {
-      console.error('Error cashing out:', error);
+      // Release the claim so the player can still cash out manually
+      this.cashedOut.delete(userId);
+      delete bet.cashoutMultiplier;
+      this.reportOpenExposure();
+      
+      if (round && round.status === 'completed') {
+        // Too late to retry once the round has crashed; the bet lost
+        this.settleRound(round);
+      } else if (round && round.status === 'voided') {
+        // The round was voided while the cashout was being paid; return the stake instead
+        try {
+          await this.refundActiveBet(userId, bet, round);
+          this.settleRoundBet(round, userId, 'refunded', bet.cryptoAmount);
+        } catch (refundError) {
+          console.error(`Error refunding bet of user ${userId}:`, refundError.message);
+        }
+      }
+      
+      if (round && round.status !== 'active') {
+        this.saveRound(round).catch(saveError => console.error('Error saving game round:', saveError.message));
+      }
       throw error;
     }
   }
 
+  /**
+   * Give a round's bet its final status. A bet is only ever settled once.
+   * @param {Object} round - Game round
+   * @param {string} userId - User ID
+   * @param {string} status - won, lost or refunded
+   * @param {bigint} payout - Base units returned to the player
+   * @param {number} [multiplier] - Cashout multiplier for won bets
+   * @returns {boolean} - Whether the bet was settled by this call
+   */
+  settleRoundBet(round, userId, status, payout, multiplier = null) {
+    const bet = round.bets.find(entry => entry.userId.toString() === userId.toString());
+    
+    if (!bet || (bet.status && bet.status !== 'pending')) {
+      return false;
+    }
+    
+    bet.status = status;
+    bet.multiplier = multiplier;
+    bet.payout = payout;
+    bet.profit = payout - bet.cryptoAmount;
+    bet.settledAt = new Date();
+    
+    // The round is settled once its last bet is
+    if (!round.settledAt && round.bets.every(entry => entry.status && entry.status !== 'pending')) {
+      round.settledAt = bet.settledAt;
+    }
+    return true;
+  }
+
+  /**
+   * Settle every bet of a finished round that does not have a final status yet.
+   * Cashed-out bets are won; the rest get uncashedStatus. Safe to run more than once.
+   * @param {Object} round - Game round
+   * @param {Object} [options]
+   * @param {string} [options.uncashedStatus] - Status of bets without a cashout (lost or refunded)
+   * @returns {number} - Bets settled by this call
+   */
+  settleRound(round, { uncashedStatus = 'lost' } = {}) {
+    let settled = 0;
+    let pending = 0;
+    
+    for (const bet of round.bets) {
+      if (bet.status && bet.status !== 'pending') continue;
+      
+      const userId = bet.userId.toString();
+      const cashout = round.cashouts.find(entry => entry.userId.toString() === userId);
+      
+      if (cashout) {
+        settled += this.settleRoundBet(round, userId, 'won', cashout.cryptoAmount, cashout.multiplier) ? 1 : 0;
+      } else if (round === this.currentRound && this.cashedOut.has(userId)) {
+        // A cashout still being paid settles the bet itself
+        pending++;
+      } else {
+        const payout = uncashedStatus === 'refunded' ? bet.cryptoAmount : 0n;
+        settled += this.settleRoundBet(round, userId, uncashedStatus, payout) ? 1 : 0;
+      }
+    }
+    
+    if (pending === 0 && !round.settledAt) {
+      round.settledAt = new Date();
+    }
+    
+    return settled;
+  }
+
   /**
    * Get the current game state
    * @returns {Object} - Current game state
    */
   getGameState() {
     return {
+      tableId: this.tableId,
+      tableName: this.tableName,
       isRunning: this.isGameRunning,
       currentRound: this.currentRound ? this.currentRound._id : null,
       roundNumber: this.roundNumber,
-      currentMultiplier: this.currentMultiplier,
-      activeBets: Array.from(this.activeBets.values()),
+      phase: this.roundPhase,
+      startTime: this.isGameRunning ? this.roundStartTime : null,
+      growthRate: this.growthRate,
+      serverTime: Date.now(),
+      // The hash is the commitment for the current round; its seed is only revealed after the crash
+      hash: this.currentRound ? this.currentRound.hash : null,
+      clientSeed: this.currentRound ? this.currentRound.clientSeed : this.clientSeed,
+      chainCommitment: this.chainCommitment,
+      currentMultiplier: this.isGameRunning ? this.getMultiplierAt(Date.now()) : this.currentMultiplier,
+      activeBets: amount.serialize(Array.from(this.activeBets.values())),
       cashedOut: Array.from(this.cashedOut)
     };
   }
@@ -501,7 +1393,7 @@ class GameService {
    */
   async getGameHistory(limit = 10) {
     try {
-      const rounds = await GameRound.find({ status: 'completed' })
+      const rounds = await GameRound.find(this.roundQuery({ status: 'completed' }))
         .sort({ roundNumber: -1 })
         .limit(limit)
         .maxTimeMS(5000); // Set a lower timeout for this operation
@@ -514,44 +1406,272 @@ class GameService {
     }
   }
 
+  /**
+   * Recompute a completed round from its revealed seed
+   * @param {Object} round - Completed game round
+   * @returns {Object} - Verification details and verdict
+   */
+  buildRoundVerification(round) {
+    const options = {
+      houseEdge: round.houseEdge,
+      instantCrashRate: round.instantCrashRate,
+      maxCrashValue: round.maxCrashValue
+    };
+    const gameHash = provablyFair.generateGameHash(round.seed, round.clientSeed);
+    
+    return {
+      roundId: round._id,
+      roundNumber: round.roundNumber,
+      seed: round.seed,
+      hash: round.hash,
+      clientSeed: round.clientSeed,
+      chainCommitment: round.chainCommitment,
+      ...provablyFair.resolveOptions(options),
+      crashPoint: round.crashPoint,
+      recomputedCrashPoint: provablyFair.calculateCrashPoint(gameHash, options),
+      hashValid: provablyFair.hashSeed(round.seed) === round.hash,
+      valid: provablyFair.verifyCrashPoint(round.seed, round.hash, round.crashPoint, round.clientSeed, options)
+    };
+  }
+
+  /**
+   * Verify a single completed round
+   * @param {number} roundNumber - Round number to verify
+   * @returns {Promise<Object>} - Verification details and verdict
+   */
+  async verifyRound(roundNumber) {
+    const round = await GameRound.findOne(this.roundQuery({ roundNumber })).maxTimeMS(5000);
+    
+    if (!round) {
+      throw new Error('Round not found');
+    }
+    
+    // A voided round ended without a crash, so there is no crash point to check
+    if (round.status === 'voided') {
+      throw new Error('Round was voided before it crashed and cannot be verified');
+    }
+    
+    // Never reveal the seed of a round that can still be bet on or cashed out of
+    if (round.status !== 'completed') {
+      throw new Error('Round is still in progress and cannot be verified yet');
+    }
+    
+    return this.buildRoundVerification(round);
+  }
+
+  /**
+   * Verify every completed round in a range, including the hash chain links between them
+   * @param {number} from - First round number (inclusive)
+   * @param {number} to - Last round number (inclusive)
+   * @returns {Promise<Object>} - Summary and per-round verification details
+   */
+  async verifyRounds(from, to) {
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < from) {
+      throw new Error('Invalid round range');
+    }
+    
+    if (to - from + 1 > config.game.maxVerifyRange) {
+      throw new Error(`Invalid round range: at most ${config.game.maxVerifyRange} rounds can be verified at once`);
+    }
+    
+    const rounds = await GameRound.find(this.roundQuery({
+      roundNumber: { $gte: from, $lte: to },
+      status: 'completed'
+    }))
+      .sort({ roundNumber: 1 })
+      .maxTimeMS(10000);
+    
+    let previous = null;
+    const results = rounds.map(round => {
+      const verification = this.buildRoundVerification(round);
+      
+      // Consecutive rounds from the same chain must link: sha256(seed n) === seed n-1
+      if (previous &&
+          previous.roundNumber === round.roundNumber - 1 &&
+          previous.chainCommitment === round.chainCommitment) {
+        verification.linkedToPrevious = round.hash === previous.seed;
+        verification.valid = verification.valid && verification.linkedToPrevious;
+      } else {
+        verification.linkedToPrevious = null;
+      }
+      
+      previous = round;
+      return verification;
+    });
+    
+    const failed = results.filter(result => !result.valid).map(result => result.roundNumber);
+    
+    return {
+      from,
+      to,
+      verified: results.length,
+      passed: results.length - failed.length,
+      failed,
+      rounds: results
+    };
+  }
+
+  /**
+   * Pause the running round, freezing the curve where it is
+   * @throws {GameError} - When no round is running
+   */
   pauseGame() {
-    if (this.roundPhase === 'running' && this.isGameRunning) {
-      this.isGameRunning = false;
-      this.roundPhase = 'paused';
-      if (this.multiplierUpdateTimer) clearInterval(this.multiplierUpdateTimer);
-      if (this.runningCountdownTimer) clearInterval(this.runningCountdownTimer);
-      this.io.emit('game:phase', { phase: 'paused' });
-      this.io.emit('game:paused');
+    if (this.roundPhase !== 'running' || !this.isGameRunning) {
+      throw new GameError('ROUND_NOT_RUNNING', 'No running round to pause', 409);
     }
+    
+    this.pausedAt = Date.now();
+    this.currentMultiplier = this.getMultiplierAt(this.pausedAt);
+    this.isGameRunning = false;
+    this.roundPhase = 'paused';
+    this.clearRunningTimers();
+    this.emit('game:phase', { phase: 'paused' });
+    this.emit('game:paused', {
+      multiplier: this.currentMultiplier.toFixed(2),
+      elapsed: this.pausedAt - this.roundStartTime
+    });
   }
 
+  /**
+   * Resume a paused round from the multiplier it was paused at
+   * @throws {GameError} - When no round is paused
+   */
   resumeGame() {
-    if (this.roundPhase === 'paused' && !this.isGameRunning) {
-      this.isGameRunning = true;
-      this.roundPhase = 'running';
-      this.io.emit('game:phase', { phase: 'running' });
-      if (this.currentRound && this.currentRound.crashPoint) {
-        this.startMultiplierUpdates(this.currentRound.crashPoint);
+    if (this.roundPhase !== 'paused' || this.isGameRunning) {
+      throw new GameError('ROUND_NOT_PAUSED', 'No paused round to resume', 409);
+    }
+    
+    // Shift the curve by the time spent paused so the elapsed time is unchanged
+    const pausedFor = Date.now() - this.pausedAt;
+    this.pausedAt = null;
+    this.isGameRunning = true;
+    this.roundPhase = 'running';
+    this.emit('game:phase', { phase: 'running' });
+    if (this.currentRound && this.currentRound.crashPoint) {
+      this.startMultiplierUpdates(this.currentRound.crashPoint, this.roundStartTime + pausedFor);
+    }
+    this.emit('game:resumed', { startTime: this.roundStartTime, growthRate: this.growthRate });
+  }
+
+  /**
+   * End the current round without a crash and refund every bet that has not cashed out
+   * @param {string} [reason] - Why the round was voided
+   * @param {Object} [options]
+   * @param {boolean} [options.scheduleNext] - Whether to schedule the next round afterwards
+   * @returns {Promise<Object>} - Voided round and refunds made
+   */
+  async voidRound(reason = 'admin_void', { scheduleNext = true } = {}) {
+    if (!this.currentRound || !['betting', 'running', 'paused'].includes(this.roundPhase)) {
+      throw new GameError('NO_ROUND_IN_PROGRESS', 'No round in progress to void', 409);
+    }
+    
+    const round = this.currentRound;
+    
+    // Stop the round before refunding so no bet, cancel or cashout can start meanwhile
+    if (this.bettingCountdownTimer) clearInterval(this.bettingCountdownTimer);
+    this.clearRunningTimers();
+    this.isGameRunning = false;
+    this.pausedAt = null;
+    this.roundPhase = 'ended';
+    this.emit('game:phase', { phase: 'ended' });
+    round.status = 'voided';
+    round.voidReason = reason;
+    
+    // Claim every open bet before any await so a late cashout cannot also pay it
+    const openBets = [];
+    for (const [userId, bet] of this.activeBets) {
+      if (this.cashedOut.has(userId) || bet.cancelling || !bet.transactionId) continue;
+      this.cashedOut.add(userId);
+      openBets.push([userId, bet]);
+    }
+    
+    // Let cashouts already being paid finish; any that fail now refund their bet themselves
+    await Promise.allSettled(this.pendingCashouts);
+    
+    const refunds = [];
+    for (const [userId, bet] of openBets) {
+      try {
+        refunds.push(await this.refundActiveBet(userId, bet));
+        this.settleRoundBet(round, userId, 'refunded', bet.cryptoAmount);
+      } catch (error) {
+        console.error(`Error refunding bet of user ${userId}:`, error.message);
       }
-      this.io.emit('game:resumed');
     }
+    
+    // Cashed-out bets are won; bets whose refund failed stay pending
+    if (refunds.length === openBets.length) {
+      this.settleRound(round, { uncashedStatus: 'refunded' });
+    }
+    round.endTime = new Date();
+    this.reportOpenExposure();
+    
+    try {
+      await this.saveRound(round);
+    } catch (error) {
+      console.error('Error saving voided game round:', error.message);
+    }
+    
+    console.log(`[${this.tableId}] Voided round ${round.roundNumber} (${reason}), refunded ${refunds.length} bet(s)`);
+    
+    this.emit('game:voided', {
+      roundId: round._id,
+      roundNumber: round.roundNumber,
+      reason
+    });
+    
+    // Schedule the next round
+    if (scheduleNext) {
+      this.roundTimer = setTimeout(() => {
+        this.scheduleNextRound();
+      }, 1000);
+    }
+    
+    return {
+      roundId: round._id,
+      roundNumber: round.roundNumber,
+      reason,
+      refunds: amount.serialize(refunds)
+    };
   }
 
-  stopGame() {
+  /**
+   * Stop the table's loop. A round in progress is voided first, so its stakes are refunded.
+   * @returns {Promise<Object|null>} - The voided round, or null if no round was in progress
+   * @throws {GameError} - When the table is already stopped
+   */
+  async stopGame() {
+    if (this.roundPhase === 'stopped') {
+      throw new GameError('TABLE_STOPPED', 'Table is already stopped', 409);
+    }
+    
+    let voided = null;
+    
+    if (this.currentRound && ['betting', 'running', 'paused'].includes(this.roundPhase)) {
+      voided = await this.voidRound('table_stopped', { scheduleNext: false });
+    }
+    
     this.isGameRunning = false;
     this.roundPhase = 'stopped';
-    if (this.multiplierUpdateTimer) clearInterval(this.multiplierUpdateTimer);
+    this.clearRunningTimers();
     if (this.roundTimer) clearTimeout(this.roundTimer);
     if (this.bettingCountdownTimer) clearInterval(this.bettingCountdownTimer);
-    if (this.runningCountdownTimer) clearInterval(this.runningCountdownTimer);
-    this.io.emit('game:phase', { phase: 'stopped' });
-    this.io.emit('game:stopped');
+    this.reportOpenExposure();
+    this.emit('game:phase', { phase: 'stopped' });
+    this.emit('game:stopped');
+    
+    return voided;
   }
 
+  /**
+   * Restart a stopped table's loop
+   * @throws {GameError} - When the table is not stopped
+   */
   startNewGame() {
-    if (this.roundPhase === 'stopped') {
-      this.scheduleNextRound();
+    if (this.roundPhase !== 'stopped') {
+      throw new GameError('TABLE_NOT_STOPPED', 'Table is not stopped', 409);
     }
+    
+    this.scheduleNextRound();
   }
 }
 
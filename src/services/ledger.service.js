@@ -0,0 +1,456 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const Wallet = require('../models/wallet.model');
+const Transaction = require('../models/transaction.model');
+const LedgerEntry = require('../models/ledgerEntry.model');
+const amount = require('../utils/amount');
+const currencies = require('../utils/currencies');
+
+// MongoDB error code for "Transaction numbers are only allowed on a replica set member or mongos"
+const ILLEGAL_OPERATION = 20;
+
+// Account on the other side of each transaction type
+const COUNTER_ACCOUNTS = {
+  bet: 'house:game',
+  cashout: 'house:game',
+  refund: 'house:game',
+  adjustment: 'house:adjustments',
+  // Withdrawals are held in clearing between the request and the chain transfer
+  withdrawal_request: 'clearing:withdrawals',
+  withdrawal_release: 'clearing:withdrawals',
+  withdrawal: 'clearing:withdrawals',
+  swap: 'house:swap'
+};
+
+/**
+ * Every wallet balance change goes through the ledger.
+ *
+ * A balance is moved with a single atomic `$inc`; debits carry a guard in the
+ * filter (`balance >= amount`) so concurrent debits can never overdraw a wallet,
+ * and no change is ever computed from a balance read earlier. The balance update,
+ * its Transaction record and a balanced pair of ledger entries (the user account
+ * and a house or external account) are written in the same MongoDB transaction,
+ * so a wallet never moves without a matching journal.
+ *
+ * Funds on their way out (withdrawals) move from the available balance to the
+ * wallet's locked balance, journaled against a clearing account, and leave the
+ * clearing account for `external` once paid out.
+ */
+class LedgerService {
+  constructor() {
+    // Set once the server turns out not to support multi-document transactions and running without them is allowed
+    this.transactionsUnsupported = false;
+  }
+
+  /**
+   * Ledger account of a user
+   * @param {string} userId - User ID
+   * @returns {string} - Account name
+   */
+  userAccount(userId) {
+    return `user:${userId}`;
+  }
+
+  /**
+   * Take an amount from a user's wallet and record it
+   * @param {string} userId - User ID
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {bigint} units - Base units to take, positive
+   * @param {Object} record - Transaction fields (transactionType, usdAmount, priceAtTime, ...)
+   * @param {Object} [options] - See apply
+   * @returns {Promise<{wallet: Object, transaction: Object}>} - Updated wallet and transaction
+   */
+  async debit(userId, currency, units, record, options = {}) {
+    return this.apply(userId, currency, { balance: -units }, { ...record, cryptoAmount: units }, options);
+  }
+
+  /**
+   * Add an amount to a user's wallet and record it
+   * @param {string} userId - User ID
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {bigint} units - Base units to add, positive
+   * @param {Object} record - Transaction fields (transactionType, usdAmount, priceAtTime, ...)
+   * @param {Object} [options] - See apply
+   * @returns {Promise<{wallet: Object, transaction: Object}>} - Updated wallet and transaction
+   */
+  async credit(userId, currency, units, record, options = {}) {
+    return this.apply(userId, currency, { balance: units }, { ...record, cryptoAmount: units }, options);
+  }
+
+  /**
+   * Move an amount from a user's available balance to their locked balance
+   * @param {string} userId - User ID
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {bigint} units - Base units to lock, positive
+   * @param {Object} record - Transaction fields
+   * @param {Object} [options] - See apply
+   * @returns {Promise<{wallet: Object, transaction: Object}>} - Updated wallet and transaction
+   */
+  async hold(userId, currency, units, record, options = {}) {
+    return this.apply(userId, currency, { balance: -units, locked: units }, { ...record, cryptoAmount: units }, options);
+  }
+
+  /**
+   * Return a locked amount to a user's available balance
+   * @param {string} userId - User ID
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {bigint} units - Base units to unlock, positive
+   * @param {Object} record - Transaction fields
+   * @param {Object} [options] - See apply
+   * @returns {Promise<{wallet: Object, transaction: Object}>} - Updated wallet and transaction
+   */
+  async release(userId, currency, units, record, options = {}) {
+    return this.apply(userId, currency, { balance: units, locked: -units }, { ...record, cryptoAmount: units }, options);
+  }
+
+  /**
+   * Pay a locked amount out of a user's wallet
+   * @param {string} userId - User ID
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {bigint} units - Base units leaving the wallet, positive
+   * @param {Object} record - Transaction fields
+   * @param {Object} [options] - See apply
+   * @returns {Promise<{wallet: Object, transaction: Object}>} - Updated wallet and transaction
+   */
+  async settleHold(userId, currency, units, record, options = {}) {
+    return this.apply(userId, currency, { locked: -units }, { ...record, cryptoAmount: units }, options);
+  }
+
+  /**
+   * Take one currency from a user's wallet and add another, atomically
+   * @param {string} userId - User ID
+   * @param {Object} sell - { currency, units, record } taken from the wallet
+   * @param {Object} buy - { currency, units, record } added to the wallet
+   * @returns {Promise<{wallet: Object, sold: Object, bought: Object}>} - Updated wallet and both transactions
+   */
+  async exchange(userId, sell, buy) {
+    if (typeof sell.units !== 'bigint' || typeof buy.units !== 'bigint' || sell.units <= 0n || buy.units <= 0n) {
+      throw new Error('Invalid amount');
+    }
+
+    return this.runInTransaction(async session => {
+      const sold = await this.write(userId, sell.currency, { balance: -sell.units, locked: 0n }, { ...sell.record, cryptoAmount: sell.units }, session, null);
+
+      try {
+        const bought = await this.write(userId, buy.currency, { balance: buy.units, locked: 0n }, { ...buy.record, cryptoAmount: buy.units }, session, null);
+        return { wallet: bought.wallet, sold: sold.transaction, bought: bought.transaction };
+      } catch (error) {
+        // Without a transaction to abort, the sold leg is already journaled; give it back with a reversing entry
+        if (!session) {
+          await this.write(userId, sell.currency, { balance: sell.units, locked: 0n }, {
+            ...sell.record,
+            cryptoAmount: sell.units,
+            swapSide: 'buy',
+            note: 'swap_reversal'
+          }, null, null);
+        }
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Create a wallet and credit its opening balances as adjustments
+   * @param {string} userId - User ID
+   * @param {Object} [openingBalances] - Amount per currency in whole coins, defaults to each enabled currency's openingBalance
+   * @returns {Promise<Object>} - Wallet with its opening balances
+   */
+  async openWallet(userId, openingBalances = this.defaultOpeningBalances()) {
+    let wallet = await Wallet.create({ userId });
+
+    for (const [currency, value] of Object.entries(openingBalances)) {
+      const units = amount.toBaseUnits(value, currency);
+      if (units > 0n) {
+        ({ wallet } = await this.credit(userId, currency, units, {
+          transactionType: 'adjustment',
+          note: 'opening_balance'
+        }));
+      }
+    }
+
+    return wallet;
+  }
+
+  /**
+   * Opening balances of a new wallet, from the currency registry
+   * @returns {Object} - Amount per enabled currency in whole coins
+   */
+  defaultOpeningBalances() {
+    const openingBalances = {};
+    for (const symbol of currencies.enabledSymbols()) {
+      openingBalances[symbol] = currencies.get(symbol).openingBalance || 0;
+    }
+    return openingBalances;
+  }
+
+  /**
+   * Move a wallet's balances and write their journal atomically
+   * @param {string} userId - User ID
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {Object} change - Signed changes in base units
+   * @param {bigint} [change.balance] - Change to the available balance
+   * @param {bigint} [change.locked] - Change to the locked balance
+   * @param {Object} record - Transaction fields
+   * @param {Object} [options]
+   * @param {Function} [options.within] - Extra writes that must commit or fail with the balance change;
+   *   receives (transaction, session) and throws to roll everything back
+   * @returns {Promise<{wallet: Object, transaction: Object}>} - Updated wallet and transaction
+   */
+  async apply(userId, currency, { balance = 0n, locked = 0n }, record, { within = null } = {}) {
+    if (typeof balance !== 'bigint' || typeof locked !== 'bigint' || (balance === 0n && locked === 0n)) {
+      throw new Error('Invalid amount');
+    }
+
+    return this.runInTransaction(session => this.write(userId, currency, { balance, locked }, record, session, within));
+  }
+
+  /**
+   * Run writes in a MongoDB transaction. Servers without transactions are refused
+   * unless config.ledger.allowNonTransactional is set.
+   * @param {Function} work - Receives the session (or null) and performs the writes
+   * @returns {Promise<*>} - Result of work
+   */
+  async runInTransaction(work) {
+    if (this.transactionsUnsupported) {
+      return work(null);
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      let result;
+
+      // withTransaction retries the whole unit on transient errors
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+
+      return result;
+    } catch (error) {
+      // Standalone servers have no transactions; the guarded $inc is still atomic, but its journal is not
+      if (error.code === ILLEGAL_OPERATION) {
+        if (!config.ledger.allowNonTransactional) {
+          throw new Error('MongoDB transactions are not supported by this server; the ledger needs a replica set (set LEDGER_ALLOW_NON_TRANSACTIONAL=true to run without transactions in development)');
+        }
+        console.warn('MongoDB transactions are not supported by this server; writing ledger entries without them');
+        this.transactionsUnsupported = true;
+        return work(null);
+      }
+
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Apply the guarded balance update and create the transaction and its ledger entries
+   * @param {string} userId - User ID
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {{balance: bigint, locked: bigint}} change - Signed changes in base units
+   * @param {Object} record - Transaction fields
+   * @param {Object|null} session - MongoDB session, null to write without a transaction
+   * @param {Function|null} within - Extra writes for the same transaction
+   * @returns {Promise<{wallet: Object, transaction: Object}>} - Updated wallet and transaction
+   */
+  async write(userId, currency, change, record, session, within) {
+    const fields = { balance: `balances.${currency}`, locked: `locked.${currency}` };
+    const filter = { userId };
+    const inc = {};
+
+    for (const [key, delta] of Object.entries(change)) {
+      if (delta === 0n) continue;
+      inc[fields[key]] = amount.toDecimal128(delta);
+
+      // Decreases only match a wallet that can cover them
+      if (delta < 0n) {
+        filter[fields[key]] = { $gte: amount.toDecimal128(-delta) };
+      }
+    }
+
+    const wallet = await Wallet.findOneAndUpdate(filter, { $inc: inc }, { new: true, session });
+
+    if (!wallet) {
+      const exists = await Wallet.exists({ userId }).session(session);
+      if (!exists) {
+        throw new Error('Wallet not found');
+      }
+      throw new Error(change.balance < 0n ? `Insufficient ${currency} balance` : `Insufficient locked ${currency} balance`);
+    }
+
+    let transaction;
+    try {
+      [transaction] = await Transaction.create([{ ...record, userId, currency }], { session });
+      // Extra writes go before the append-only entries, which cannot be undone by hand
+      if (within) {
+        await within(transaction, session);
+      }
+      await this.writeEntries(transaction, this.journal(transaction, change, wallet.getBalance(currency)), session);
+      return { wallet, transaction };
+    } catch (error) {
+      // Without a transaction to abort, undo the balance change by hand
+      if (!session) {
+        const undo = {};
+        for (const [field, delta] of Object.entries(inc)) {
+          undo[field] = amount.toDecimal128(-amount.toBigInt(delta));
+        }
+        await Wallet.updateOne({ userId }, { $inc: undo });
+        if (transaction) {
+          await Transaction.deleteOne({ _id: transaction._id });
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Balanced entries for a change to a wallet
+   * @param {Object} transaction - Transaction the entries journal
+   * @param {{balance: bigint, locked: bigint}} change - Signed changes in base units
+   * @param {bigint} balanceAfter - User's available balance after the change
+   * @returns {Array<Object>} - Entries, summing to zero
+   */
+  journal(transaction, change, balanceAfter) {
+    const counterAccount = COUNTER_ACCOUNTS[transaction.transactionType] || 'external';
+
+    // Locked funds leaving the wallet move from the clearing account to the outside world
+    if (change.balance === 0n) {
+      return [
+        { account: counterAccount, amount: change.locked },
+        { account: 'external', amount: -change.locked }
+      ];
+    }
+
+    return [
+      { account: this.userAccount(transaction.userId), amount: change.balance, balanceAfter },
+      { account: counterAccount, amount: -change.balance }
+    ];
+  }
+
+  /**
+   * Write the entries of a transaction
+   * @param {Object} transaction - Transaction the entries journal
+   * @param {Array<Object>} entries - Account, signed amount and, for user accounts, balanceAfter
+   * @param {Object|null} session - MongoDB session
+   * @returns {Promise<Array>} - Created entries
+   */
+  async writeEntries(transaction, entries, session) {
+    return LedgerEntry.create(entries.map(entry => {
+      // Account names are prefixed with their type, e.g. user:<userId>, house:game, clearing:withdrawals
+      const accountType = entry.account.split(':')[0];
+
+      return {
+        journalId: transaction._id,
+        currency: transaction.currency,
+        entryType: transaction.transactionType,
+        timestamp: transaction.timestamp,
+        account: entry.account,
+        accountType,
+        userId: accountType === 'user' ? transaction.userId : null,
+        amount: entry.amount,
+        balanceAfter: entry.balanceAfter === undefined ? null : entry.balanceAfter
+      };
+    }), { session, ordered: true });
+  }
+
+  /**
+   * Journal the balance of wallets that predate the ledger as opening adjustments,
+   * without moving the balance itself. Wallets that already have entries are skipped.
+   * @returns {Promise<number>} - Opening journals written
+   */
+  async backfillOpeningBalances() {
+    const wallets = await Wallet.find({});
+    let written = 0;
+
+    for (const wallet of wallets) {
+      const hasEntries = await LedgerEntry.exists({ userId: wallet.userId });
+      if (hasEntries) continue;
+
+      for (const currency of currencies.symbols()) {
+        const balance = wallet.getBalance(currency);
+        if (balance <= 0n) continue;
+
+        await this.runInTransaction(async session => {
+          const [transaction] = await Transaction.create([{
+            userId: wallet.userId,
+            cryptoAmount: balance,
+            currency,
+            transactionType: 'adjustment',
+            note: 'opening_balance',
+            timestamp: wallet.createdAt
+          }], { session });
+          await this.writeEntries(transaction, this.journal(transaction, { balance, locked: 0n }, balance), session);
+        });
+        written++;
+      }
+    }
+
+    return written;
+  }
+
+  /**
+   * Check every wallet balance against the sum of its ledger entries, and every
+   * journal against zero
+   * @param {Object} [options]
+   * @param {string} [options.userId] - Only reconcile this user's wallet
+   * @returns {Promise<Object>} - Reconciliation report
+   */
+  async reconcile({ userId } = {}) {
+    const walletQuery = userId ? { userId } : {};
+    const entryMatch = { accountType: 'user' };
+    if (userId) {
+      entryMatch.userId = new mongoose.Types.ObjectId(userId);
+    }
+
+    const [wallets, sums] = await Promise.all([
+      Wallet.find(walletQuery),
+      LedgerEntry.aggregate([
+        { $match: entryMatch },
+        { $group: { _id: { userId: '$userId', currency: '$currency' }, balance: { $sum: '$amount' } } }
+      ])
+    ]);
+
+    const ledgerBalances = new Map(
+      sums.map(sum => [`${sum._id.userId}:${sum._id.currency}`, amount.toBigInt(sum.balance)])
+    );
+
+    const drifts = [];
+    for (const wallet of wallets) {
+      for (const currency of currencies.symbols()) {
+        const walletBalance = wallet.getBalance(currency);
+        const ledgerBalance = ledgerBalances.get(`${wallet.userId}:${currency}`) || 0n;
+        const drift = walletBalance - ledgerBalance;
+
+        // Amounts are integers, so any difference is drift
+        if (drift !== 0n) {
+          drifts.push({ userId: wallet.userId, currency, walletBalance, ledgerBalance, drift });
+        }
+      }
+    }
+
+    // Every journal must balance to zero
+    const journalMatch = userId
+      ? { journalId: { $in: await LedgerEntry.distinct('journalId', entryMatch) } }
+      : {};
+    const unbalanced = await LedgerEntry.aggregate([
+      { $match: journalMatch },
+      { $group: { _id: { journalId: '$journalId', currency: '$currency' }, sum: { $sum: '$amount' }, entries: { $sum: 1 } } },
+      { $match: { $or: [{ sum: { $ne: amount.toDecimal128(0n) } }, { entries: { $lt: 2 } }] } }
+    ]);
+
+    return amount.serialize({
+      checkedAt: new Date(),
+      walletsChecked: wallets.length,
+      drifts,
+      unbalancedJournals: unbalanced.map(journal => ({
+        journalId: journal._id.journalId,
+        currency: journal._id.currency,
+        sum: journal.sum,
+        entries: journal.entries
+      })),
+      ok: drifts.length === 0 && unbalanced.length === 0
+    });
+  }
+}
+
+module.exports = new LedgerService();
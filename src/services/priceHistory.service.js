@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const PriceSample = require('../models/priceSample.model');
+const PriceCandle = require('../models/priceCandle.model');
+
+// Length of each candle interval in milliseconds
+const CANDLE_INTERVALS = {
+  '1m': 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * History of the prices the price oracle produced.
+ *
+ * Every aggregated price is stored as a sample in a time-series collection and
+ * folded into the 1m, 1h and 1d OHLC candle it falls in. Samples and candles of
+ * each interval are kept for their configured number of days. Transactions link
+ * to the sample their price came from.
+ */
+class PriceHistoryService {
+  /**
+   * Store a price sample and update its candles
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {Object} point - Aggregated price: { price, timestamp, sources }
+   * @returns {Promise<Object|null>} - Sample, or null when MongoDB is not connected
+   */
+  async recordSample(currency, point) {
+    if (mongoose.connection.readyState !== 1) {
+      return null;
+    }
+
+    const sample = await PriceSample.create({
+      currency,
+      price: point.price,
+      timestamp: point.timestamp,
+      sources: point.sources
+    });
+
+    await this.updateCandles(sample);
+
+    return sample;
+  }
+
+  /**
+   * Fold a sample into the candle of every interval it falls in
+   * @param {Object} sample - Price sample
+   * @returns {Promise<void>}
+   */
+  async updateCandles(sample) {
+    await PriceCandle.bulkWrite(Object.keys(CANDLE_INTERVALS).map(interval => {
+      const openTime = this.bucketStart(sample.timestamp, interval);
+
+      return {
+        updateOne: {
+          filter: { currency: sample.currency, interval, openTime },
+          update: {
+            $setOnInsert: {
+              open: sample.price,
+              expiresAt: new Date(openTime.getTime() + config.prices.candleRetention[interval] * DAY_MS)
+            },
+            $max: { high: sample.price },
+            $min: { low: sample.price },
+            $set: { close: sample.price },
+            $inc: { samples: 1 }
+          },
+          upsert: true
+        }
+      };
+    }));
+  }
+
+  /**
+   * Candle intervals the history is kept at
+   * @returns {Array<string>} - Intervals (1m, 1h, 1d)
+   */
+  getIntervals() {
+    return Object.keys(CANDLE_INTERVALS);
+  }
+
+  /**
+   * Start of the interval a time falls in, aligned to UTC
+   * @param {Date} time - Time
+   * @param {string} interval - Candle interval (1m, 1h, 1d)
+   * @returns {Date} - Interval start
+   */
+  bucketStart(time, interval) {
+    const length = CANDLE_INTERVALS[interval];
+    return new Date(Math.floor(time.getTime() / length) * length);
+  }
+
+  /**
+   * Get the candles of a currency, oldest first
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {string} interval - Candle interval (1m, 1h, 1d)
+   * @param {Object} [options]
+   * @param {Date} [options.from] - Only candles opening at or after this time
+   * @param {Date} [options.to] - Only candles opening at or before this time
+   * @param {number} [options.limit] - Most recent candles to return
+   * @returns {Promise<Array>} - Candles
+   */
+  async getCandles(currency, interval, { from, to, limit = 100 } = {}) {
+    if (!CANDLE_INTERVALS[interval]) {
+      throw new Error(`Invalid interval: must be one of ${this.getIntervals().join(', ')}`);
+    }
+
+    const query = { currency, interval };
+    if (from || to) {
+      query.openTime = {};
+      if (from) query.openTime.$gte = from;
+      if (to) query.openTime.$lte = to;
+    }
+
+    // Take the latest candles in range, then hand them back in chronological order
+    const candles = await PriceCandle.find(query)
+      .sort({ openTime: -1 })
+      .limit(limit)
+      .select('-_id openTime open high low close samples')
+      .lean();
+
+    return candles.reverse();
+  }
+}
+
+module.exports = new PriceHistoryService();
@@ -0,0 +1,153 @@
+const LedgerEntry = require('../models/ledgerEntry.model');
+const config = require('../config/config');
+const amount = require('../utils/amount');
+const currencies = require('../utils/currencies');
+
+// Precision of the exposure ratio when applied to base units
+const RATIO_SCALE = 1000000;
+
+// Ledger accounts whose balance is the house's winnings or losses
+const BANKROLL_ACCOUNTS = ['house:game', 'house:swap'];
+
+/**
+ * The house bankroll, and how much of it the open rounds of every table may lose.
+ *
+ * The bankroll of a currency is its starting bankroll in the registry plus the
+ * balance of the house's game and swap ledger accounts, so it survives restarts.
+ * It is loaded from the ledger once the database is up and then moved by every
+ * bet and payout as they happen.
+ */
+class RiskService {
+  constructor() {
+    // House bankroll per currency in base units
+    this.bankroll = {};
+    for (const currency of currencies.list()) {
+      this.bankroll[currency.symbol] = this.getStartingBankroll(currency.symbol);
+    }
+    
+    this.openExposure = new Map(); // Map of tableId -> most its open round can still lose, keyed by currency
+  }
+
+  /**
+   * Bankroll the house started with in a currency, before any bet
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @returns {bigint} - Bankroll in base units
+   */
+  getStartingBankroll(currency) {
+    return amount.toBaseUnits(currencies.get(currency).bankroll || 0, currency);
+  }
+
+  /**
+   * Set the bankroll of every currency from the house ledger accounts
+   * @returns {Promise<Object>} - Bankroll keyed by currency
+   */
+  async loadBankroll() {
+    const sums = await LedgerEntry.aggregate([
+      { $match: { account: { $in: BANKROLL_ACCOUNTS } } },
+      { $group: { _id: '$currency', balance: { $sum: '$amount' } } }
+    ]);
+    
+    const balances = new Map(sums.map(sum => [sum._id, amount.toBigInt(sum.balance)]));
+    for (const currency of currencies.symbols()) {
+      this.bankroll[currency] = this.getStartingBankroll(currency) + (balances.get(currency) || 0n);
+    }
+    
+    return this.bankroll;
+  }
+
+  /**
+   * Get the house bankroll for a currency
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @returns {bigint} - Bankroll in base units
+   */
+  getBankroll(currency) {
+    return this.bankroll[currency] || 0n;
+  }
+
+  /**
+   * Most the house may lose on one round in a currency
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {number} ratio - Share of the bankroll a round may risk
+   * @returns {bigint} - Exposure limit in base units, rounded down
+   */
+  getExposureLimit(currency, ratio) {
+    const bankroll = this.getBankroll(currency);
+    if (bankroll <= 0n) {
+      return 0n;
+    }
+    return (bankroll * BigInt(Math.round(ratio * RATIO_SCALE))) / BigInt(RATIO_SCALE);
+  }
+
+  /**
+   * Snapshot the exposure limit of every currency for a round
+   * @param {number} ratio - Share of the bankroll a round may risk
+   * @returns {Object} - Exposure limits keyed by currency
+   */
+  getExposureLimits(ratio) {
+    const limits = {};
+    
+    for (const currency of currencies.symbols()) {
+      limits[currency] = this.getExposureLimit(currency, ratio);
+    }
+    
+    return limits;
+  }
+
+  /**
+   * Record the most a table's open round can still lose, replacing what it reported before
+   * @param {string} tableId - Table ID
+   * @param {Object} exposure - Base units keyed by currency; empty once the round is over
+   */
+  setOpenExposure(tableId, exposure) {
+    this.openExposure.set(tableId, exposure);
+  }
+
+  /**
+   * Most the open rounds of every table can still lose in a currency
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {string} [exceptTableId] - Leave this table out
+   * @returns {bigint} - Exposure in base units
+   */
+  getOpenExposure(currency, exceptTableId = null) {
+    let total = 0n;
+    for (const [tableId, exposure] of this.openExposure) {
+      if (tableId === exceptTableId) continue;
+      total += exposure[currency] || 0n;
+    }
+    
+    return total;
+  }
+
+  /**
+   * Whether a table's open round can lose an amount without the open rounds of
+   * every table together going over their share of the bankroll
+   * @param {string} tableId - Table ID
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {bigint} exposure - Most the table's round would lose, in base units
+   * @returns {boolean} - Whether the exposure fits
+   */
+  canTakeExposure(tableId, currency, exposure) {
+    const limit = this.getExposureLimit(currency, config.game.maxOpenExposure);
+    return this.getOpenExposure(currency, tableId) + exposure <= limit;
+  }
+
+  /**
+   * Record a stake taken into the bankroll
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {bigint} stake - Stake in base units
+   */
+  recordBet(currency, stake) {
+    this.bankroll[currency] = this.getBankroll(currency) + stake;
+  }
+
+  /**
+   * Record a payout or refund taken out of the bankroll
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {bigint} paid - Amount paid in base units
+   */
+  recordPayout(currency, paid) {
+    this.bankroll[currency] = this.getBankroll(currency) - paid;
+  }
+}
+
+module.exports = new RiskService();
@@ -0,0 +1,321 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/transaction.model');
+const GameRound = require('../models/gameRound.model');
+const UserStatsRollup = require('../models/userStatsRollup.model');
+const amount = require('../utils/amount');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Round a USD amount to cents
+ * @param {number} value - Amount in USD
+ * @returns {number} - Rounded amount
+ */
+const roundUsd = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Per-player statistics: amounts wagered and paid out, profit, win rate and streaks.
+ *
+ * Money flows come from the player's bet, cashout and refund transactions, and
+ * outcomes from the bets recorded in game rounds. Both are aggregated per UTC day
+ * and currency. Completed days no longer change, so their rollups are stored the
+ * first time they are needed and only today is aggregated on every request.
+ */
+class StatsService {
+  /**
+   * Get a player's statistics over their whole history
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Totals per currency and in USD, rounds played, win rate, average cashout multiplier, biggest win and current streak
+   */
+  async getUserStats(userId) {
+    // Aggregation pipelines are not cast to the schema
+    const userObjectId = new mongoose.Types.ObjectId(String(userId));
+    const today = this.dayStart(new Date());
+
+    await this.updateRollups(userObjectId, today);
+
+    const [rollups, todayRows, currentStreak] = await Promise.all([
+      UserStatsRollup.find({ userId: userObjectId }).lean(),
+      this.aggregateDays(userObjectId, today, null),
+      this.getCurrentStreak(userObjectId)
+    ]);
+
+    return this.summarize([...rollups, ...todayRows], currentStreak);
+  }
+
+  /**
+   * Store the rollups of the completed days since the player's last rollup
+   * @param {Object} userId - User ObjectId
+   * @param {Date} today - Start of the current UTC day; rollups stop before it
+   * @returns {Promise<void>}
+   */
+  async updateRollups(userId, today) {
+    const latest = await UserStatsRollup.findOne({ userId }).sort({ day: -1 }).select('day').lean();
+    const from = latest ? new Date(latest.day.getTime() + DAY_MS) : null;
+    if (from && from >= today) {
+      return;
+    }
+
+    const rows = await this.aggregateDays(userId, from, today);
+    if (rows.length === 0) {
+      return;
+    }
+
+    // Upserts, so concurrent requests rolling up the same days agree
+    await UserStatsRollup.bulkWrite(rows.map(row => ({
+      updateOne: {
+        filter: { userId, day: row.day, currency: row.currency },
+        update: {
+          $set: {
+            ...row,
+            wagered: amount.toDecimal128(row.wagered),
+            paidOut: amount.toDecimal128(row.paidOut)
+          }
+        },
+        upsert: true
+      }
+    })));
+  }
+
+  /**
+   * Aggregate a player's game activity per UTC day and currency
+   * @param {Object} userId - User ObjectId
+   * @param {Date|null} from - Start of the range, inclusive; null for the beginning
+   * @param {Date|null} to - End of the range, exclusive; null for now
+   * @returns {Promise<Array<Object>>} - { day, currency, wagered, paidOut, wageredUsd, paidOutUsd, rounds, wins, multiplierSum, biggestWin } per day and currency with activity
+   */
+  async aggregateDays(userId, from, to) {
+    const range = {};
+    if (from) range.$gte = from;
+    if (to) range.$lt = to;
+    const inRange = Object.keys(range).length > 0;
+
+    // Stakes, less stakes refunded, and cashouts
+    const flows = Transaction.aggregate([
+      { $match: { userId, transactionType: { $in: ['bet', 'cashout', 'refund'] }, ...(inRange && { timestamp: range }) } },
+      {
+        $group: {
+          _id: { day: { $dateTrunc: { date: '$timestamp', unit: 'day' } }, currency: '$currency' },
+          staked: { $sum: { $cond: [{ $eq: ['$transactionType', 'bet'] }, '$cryptoAmount', 0] } },
+          refunded: { $sum: { $cond: [{ $eq: ['$transactionType', 'refund'] }, '$cryptoAmount', 0] } },
+          paidOut: { $sum: { $cond: [{ $eq: ['$transactionType', 'cashout'] }, '$cryptoAmount', 0] } },
+          stakedUsd: { $sum: { $cond: [{ $eq: ['$transactionType', 'bet'] }, '$usdAmount', 0] } },
+          refundedUsd: { $sum: { $cond: [{ $eq: ['$transactionType', 'refund'] }, '$usdAmount', 0] } },
+          paidOutUsd: { $sum: { $cond: [{ $eq: ['$transactionType', 'cashout'] }, '$usdAmount', 0] } }
+        }
+      }
+    ]);
+
+    // Outcomes of the bets settled as won or lost; refunded bets were never played
+    const bet = { userId, status: { $in: ['won', 'lost'] }, ...(inRange && { settledAt: range }) };
+    const outcomes = GameRound.aggregate([
+      { $match: { bets: { $elemMatch: bet } } },
+      { $unwind: '$bets' },
+      { $match: Object.fromEntries(Object.entries(bet).map(([field, condition]) => [`bets.${field}`, condition])) },
+      {
+        $project: {
+          day: { $dateTrunc: { date: '$bets.settledAt', unit: 'day' } },
+          currency: '$bets.currency',
+          won: { $eq: ['$bets.status', 'won'] },
+          multiplier: '$bets.multiplier',
+          profit: '$bets.profit',
+          settledAt: '$bets.settledAt',
+          // The cashout's USD value less the stake's, each at the price of its time
+          usdProfit: {
+            $subtract: [
+              {
+                $ifNull: [{
+                  $first: {
+                    $map: {
+                      input: { $filter: { input: '$cashouts', cond: { $eq: ['$$this.userId', userId] } } },
+                      in: '$$this.usdAmount'
+                    }
+                  }
+                }, 0]
+              },
+              '$bets.usdAmount'
+            ]
+          }
+        }
+      },
+      // Puts each group's biggest win first
+      { $sort: { won: -1, usdProfit: -1 } },
+      {
+        $group: {
+          _id: { day: '$day', currency: '$currency' },
+          rounds: { $sum: 1 },
+          wins: { $sum: { $cond: ['$won', 1, 0] } },
+          multiplierSum: { $sum: { $cond: ['$won', '$multiplier', 0] } },
+          biggestWin: {
+            $first: {
+              $cond: ['$won', {
+                profit: '$profit',
+                usdProfit: '$usdProfit',
+                multiplier: '$multiplier',
+                gameRoundId: '$_id',
+                settledAt: '$settledAt'
+              }, null]
+            }
+          }
+        }
+      }
+    ]);
+
+    const rows = new Map();
+    const rowFor = ({ day, currency }) => {
+      const key = `${day.toISOString()}:${currency}`;
+      if (!rows.has(key)) {
+        rows.set(key, {
+          day,
+          currency,
+          wagered: 0n,
+          paidOut: 0n,
+          wageredUsd: 0,
+          paidOutUsd: 0,
+          rounds: 0,
+          wins: 0,
+          multiplierSum: 0,
+          biggestWin: null
+        });
+      }
+      return rows.get(key);
+    };
+
+    const [flowGroups, outcomeGroups] = await Promise.all([flows, outcomes]);
+
+    for (const group of flowGroups) {
+      const row = rowFor(group._id);
+      row.wagered = amount.toBigInt(group.staked) - amount.toBigInt(group.refunded);
+      row.paidOut = amount.toBigInt(group.paidOut);
+      row.wageredUsd = group.stakedUsd - group.refundedUsd;
+      row.paidOutUsd = group.paidOutUsd;
+    }
+
+    for (const group of outcomeGroups) {
+      const row = rowFor(group._id);
+      row.rounds = group.rounds;
+      row.wins = group.wins;
+      row.multiplierSum = group.multiplierSum;
+      row.biggestWin = group.biggestWin;
+    }
+
+    return [...rows.values()];
+  }
+
+  /**
+   * Count the player's latest run of wins or losses, over finished rounds
+   * @param {Object} userId - User ObjectId
+   * @returns {Promise<{type: string|null, length: number}>} - win or loss and how many in a row; null type before the first bet
+   */
+  async getCurrentStreak(userId) {
+    const outcomes = GameRound.aggregate([
+      { $match: { bets: { $elemMatch: { userId, status: { $in: ['won', 'lost'] } } }, settledAt: { $ne: null } } },
+      { $sort: { settledAt: -1 } },
+      { $unwind: '$bets' },
+      { $match: { 'bets.userId': userId, 'bets.status': { $in: ['won', 'lost'] } } },
+      { $project: { _id: 0, status: '$bets.status' } }
+    ]).cursor({ batchSize: 100 });
+
+    // Read back from the latest round only until the outcome changes
+    const streak = { type: null, length: 0 };
+    try {
+      for await (const { status } of outcomes) {
+        const type = status === 'won' ? 'win' : 'loss';
+        if (streak.type && type !== streak.type) break;
+        streak.type = type;
+        streak.length += 1;
+      }
+    } finally {
+      await outcomes.close();
+    }
+
+    return streak;
+  }
+
+  /**
+   * Add up daily rows into the player's statistics
+   * @param {Array<Object>} rows - Rows of aggregateDays or stored rollups
+   * @param {Object} currentStreak - See getCurrentStreak
+   * @returns {Object} - Statistics, crypto amounts as decimal strings in whole coins
+   */
+  summarize(rows, currentStreak) {
+    const totals = {};
+    let rounds = 0;
+    let wins = 0;
+    let multiplierSum = 0;
+    let biggestWin = null;
+
+    for (const row of rows) {
+      if (!totals[row.currency]) {
+        totals[row.currency] = { wagered: 0n, paidOut: 0n, wageredUsd: 0, paidOutUsd: 0, roundsPlayed: 0, wins: 0 };
+      }
+      const total = totals[row.currency];
+      total.wagered += amount.toBigInt(row.wagered);
+      total.paidOut += amount.toBigInt(row.paidOut);
+      total.wageredUsd += row.wageredUsd;
+      total.paidOutUsd += row.paidOutUsd;
+      total.roundsPlayed += row.rounds;
+      total.wins += row.wins;
+
+      rounds += row.rounds;
+      wins += row.wins;
+      multiplierSum += row.multiplierSum;
+
+      // Wins in different currencies compare by their USD profit
+      if (row.biggestWin && (!biggestWin || row.biggestWin.usdProfit > biggestWin.usdProfit)) {
+        biggestWin = { ...row.biggestWin, currency: row.currency };
+      }
+    }
+
+    const currencyStats = {};
+    let wageredUsd = 0;
+    let paidOutUsd = 0;
+    for (const [currency, total] of Object.entries(totals)) {
+      currencyStats[currency] = {
+        wagered: amount.format(total.wagered, currency),
+        paidOut: amount.format(total.paidOut, currency),
+        netProfit: amount.format(total.paidOut - total.wagered, currency),
+        wageredUsd: roundUsd(total.wageredUsd),
+        paidOutUsd: roundUsd(total.paidOutUsd),
+        netProfitUsd: roundUsd(total.paidOutUsd - total.wageredUsd),
+        roundsPlayed: total.roundsPlayed,
+        wins: total.wins
+      };
+      wageredUsd += total.wageredUsd;
+      paidOutUsd += total.paidOutUsd;
+    }
+
+    return {
+      currencies: currencyStats,
+      usd: {
+        wagered: roundUsd(wageredUsd),
+        paidOut: roundUsd(paidOutUsd),
+        netProfit: roundUsd(paidOutUsd - wageredUsd)
+      },
+      roundsPlayed: rounds,
+      wins,
+      winRate: rounds > 0 ? Math.round((wins / rounds) * 10000) / 10000 : 0,
+      averageCashoutMultiplier: wins > 0 ? Math.round((multiplierSum / wins) * 100) / 100 : null,
+      biggestWin: biggestWin && {
+        currency: biggestWin.currency,
+        profit: amount.format(biggestWin.profit, biggestWin.currency),
+        usdProfit: roundUsd(biggestWin.usdProfit),
+        multiplier: biggestWin.multiplier,
+        gameRoundId: biggestWin.gameRoundId,
+        settledAt: biggestWin.settledAt
+      },
+      currentStreak
+    };
+  }
+
+  /**
+   * Start of the UTC day a time falls in
+   * @param {Date} time - Time
+   * @returns {Date} - Day start
+   */
+  dayStart(time) {
+    return new Date(Math.floor(time.getTime() / DAY_MS) * DAY_MS);
+  }
+}
+
+module.exports = new StatsService();
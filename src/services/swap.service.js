@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const cryptoService = require('./crypto.service');
+const ledgerService = require('./ledger.service');
+const riskService = require('./risk.service');
+const amount = require('../utils/amount');
+const currencies = require('../utils/currencies');
+
+// Precision of the spread when applied to base units
+const SPREAD_SCALE = 1000000;
+
+/**
+ * Swaps between the currencies of a wallet.
+ *
+ * A quote fixes the amount received for an amount sold at current prices, less
+ * the configured spread, and is valid for a few seconds. Executing it takes the
+ * sold amount and adds the bought amount in one ledger transaction, recording a
+ * `swap` transaction for each side linked by the quote's ID.
+ */
+class SwapService {
+  constructor() {
+    this.quotes = new Map(); // Open quotes by ID
+  }
+
+  /**
+   * Quote a swap
+   * @param {string} userId - User ID
+   * @param {string} from - Currency to sell
+   * @param {string} to - Currency to buy
+   * @param {number|string} value - Amount to sell in whole coins
+   * @returns {Promise<Object>} - Quote
+   */
+  async createQuote(userId, from, to, value) {
+    currencies.getEnabled(from);
+    currencies.getEnabled(to);
+    if (from === to) {
+      throw new Error('Cannot swap a currency for itself');
+    }
+
+    const sellUnits = amount.toBaseUnits(value, from);
+    if (sellUnits <= 0n) {
+      throw new Error('Invalid amount');
+    }
+
+    const [fromPoint, toPoint] = await Promise.all([
+      cryptoService.getPricePoint(from),
+      cryptoService.getPricePoint(to)
+    ]);
+    const fromPrice = fromPoint.price;
+    const toPrice = toPoint.price;
+
+    // The house keeps the spread; what is left is rounded down to the base unit
+    const spread = BigInt(Math.round(config.swap.spread * SPREAD_SCALE));
+    const buyUnits = (amount.convert(sellUnits, from, fromPrice, to, toPrice) * (BigInt(SPREAD_SCALE) - spread)) / BigInt(SPREAD_SCALE);
+    if (buyUnits <= 0n) {
+      throw new Error('Amount is too small to swap');
+    }
+
+    this.removeExpiredQuotes();
+
+    const quote = {
+      quoteId: crypto.randomBytes(16).toString('hex'),
+      userId: userId.toString(),
+      from,
+      to,
+      sellAmount: sellUnits,
+      buyAmount: buyUnits,
+      rate: (fromPrice / toPrice) * (1 - config.swap.spread),
+      spread: config.swap.spread,
+      prices: { [from]: fromPrice, [to]: toPrice },
+      priceSampleIds: { [from]: fromPoint.sampleId, [to]: toPoint.sampleId },
+      expiresAt: new Date(Date.now() + config.swap.quoteTtl * 1000)
+    };
+    this.quotes.set(quote.quoteId, quote);
+
+    return this.serializeQuote(quote);
+  }
+
+  /**
+   * Execute a quote
+   * @param {string} userId - User ID
+   * @param {string} quoteId - Quote ID
+   * @returns {Promise<Object>} - Executed swap and both transactions
+   */
+  async executeQuote(userId, quoteId) {
+    const quote = this.quotes.get(quoteId);
+    if (!quote || quote.userId !== userId.toString()) {
+      throw new Error('Quote not found');
+    }
+
+    // A quote is used at most once, whatever the outcome
+    this.quotes.delete(quoteId);
+
+    if (quote.expiresAt <= new Date()) {
+      throw new Error('Quote has expired');
+    }
+
+    const { sold, bought } = await ledgerService.exchange(userId, {
+      currency: quote.from,
+      units: quote.sellAmount,
+      record: { transactionType: 'swap', swapId: quote.quoteId, swapSide: 'sell', rate: quote.rate, priceAtTime: quote.prices[quote.from], priceSampleId: quote.priceSampleIds[quote.from] }
+    }, {
+      currency: quote.to,
+      units: quote.buyAmount,
+      record: { transactionType: 'swap', swapId: quote.quoteId, swapSide: 'buy', rate: quote.rate, priceAtTime: quote.prices[quote.to], priceSampleId: quote.priceSampleIds[quote.to] }
+    });
+
+    // The house takes the sold currency and pays out the bought one
+    riskService.recordBet(quote.from, quote.sellAmount);
+    riskService.recordPayout(quote.to, quote.buyAmount);
+
+    return {
+      swap: this.serializeQuote(quote),
+      transactions: [sold, bought]
+    };
+  }
+
+  /**
+   * Drop quotes that can no longer be executed
+   */
+  removeExpiredQuotes() {
+    const now = new Date();
+    for (const [quoteId, quote] of this.quotes) {
+      if (quote.expiresAt <= now) {
+        this.quotes.delete(quoteId);
+      }
+    }
+  }
+
+  /**
+   * Quote as returned to the client, amounts as decimal strings
+   * @param {Object} quote - Quote
+   * @returns {Object} - Client view of the quote
+   */
+  serializeQuote(quote) {
+    return {
+      quoteId: quote.quoteId,
+      from: quote.from,
+      to: quote.to,
+      sellAmount: amount.format(quote.sellAmount, quote.from),
+      buyAmount: amount.format(quote.buyAmount, quote.to),
+      rate: quote.rate,
+      spread: quote.spread,
+      prices: quote.prices,
+      expiresAt: quote.expiresAt
+    };
+  }
+}
+
+module.exports = new SwapService();
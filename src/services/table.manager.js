@@ -0,0 +1,106 @@
+const config = require('../config/config');
+const GameRound = require('../models/gameRound.model');
+const GameService = require('./game.service');
+const riskService = require('./risk.service');
+
+class TableManager {
+  /**
+   * @param {Object} io - Socket.IO server instance
+   * @param {Array<Object>} tables - Table settings (see config.game.tables)
+   */
+  constructor(io, tables = config.game.tables) {
+    this.io = io;
+    this.tables = new Map(); // Map of tableId -> GameService
+    this.defaultTableId = config.game.defaultTableId;
+    this.started = false; // Set once the game loops run; they are never started twice
+    this.databaseReady = false; // Set once the tables have caught up with the database
+    
+    for (const table of tables) {
+      if (this.tables.has(table.id)) {
+        throw new Error(`Duplicate table id: ${table.id}`);
+      }
+      this.tables.set(table.id, new GameService(io, table));
+    }
+    
+    if (!this.tables.has(this.defaultTableId)) {
+      throw new Error(`Default table "${this.defaultTableId}" is not configured`);
+    }
+  }
+
+  /**
+   * Get a table's game service
+   * @param {string} tableId - Table ID
+   * @returns {GameService|undefined} - Game service for the table
+   */
+  get(tableId) {
+    return this.tables.get(tableId);
+  }
+
+  /**
+   * Get the default table's game service
+   * @returns {GameService} - Game service for the default table
+   */
+  getDefault() {
+    return this.tables.get(this.defaultTableId);
+  }
+
+  /**
+   * List all tables with their settings and live state
+   * @returns {Array<Object>} - Table summaries
+   */
+  list() {
+    return Array.from(this.tables.values()).map(gameService => ({
+      id: gameService.tableId,
+      name: gameService.tableName,
+      phase: gameService.roundPhase,
+      roundNumber: gameService.roundNumber,
+      settings: {
+        maxCrashValue: gameService.maxCrashValue,
+        houseEdge: gameService.houseEdge,
+        growthRate: gameService.growthRate,
+        waitingTime: gameService.waitingTime,
+        bettingTime: gameService.bettingTime
+      }
+    }));
+  }
+
+  /**
+   * Catch the tables up with the database on the first successful connection:
+   * sync indexes, load the bankroll, void rounds a previous process left open and
+   * continue each table's round numbering. Runs once, whether or not the game
+   * loops are already running without the database.
+   */
+  async connectDatabase() {
+    if (this.databaseReady) return;
+    this.databaseReady = true;
+    
+    // Replace the old single-table unique index on roundNumber with the per-table one
+    try {
+      await GameRound.syncIndexes();
+    } catch (error) {
+      console.error('Error syncing game round indexes:', error.message);
+    }
+    
+    // Round exposure limits are a share of the bankroll, so it must be current before the next round
+    try {
+      await riskService.loadBankroll();
+    } catch (error) {
+      console.error('Error loading house bankroll:', error.message);
+    }
+    
+    await Promise.all(Array.from(this.tables.values()).map(gameService => gameService.syncWithDatabase()));
+  }
+
+  /**
+   * Start the game loop of every table. Later calls do nothing, so loops
+   * already running are not restarted mid-round.
+   */
+  async startAll() {
+    if (this.started) return;
+    this.started = true;
+    
+    await Promise.all(Array.from(this.tables.values()).map(gameService => gameService.startGameLoop()));
+  }
+}
+
+module.exports = TableManager;
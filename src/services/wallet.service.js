@@ -1,7 +1,11 @@
+const mongoose = require('mongoose');
 const Wallet = require('../models/wallet.model');
 const Transaction = require('../models/transaction.model');
+const LedgerEntry = require('../models/ledgerEntry.model');
 const cryptoService = require('./crypto.service');
-const mongoose = require('mongoose');
+const ledgerService = require('./ledger.service');
+const amount = require('../utils/amount');
+const currencies = require('../utils/currencies');
 
 class WalletService {
   /**
@@ -15,27 +19,16 @@ class WalletService {
       let wallet = await Wallet.findOne({ userId });
       
       if (!wallet) {
-        wallet = new Wallet({ userId });
-        await wallet.save();
+        wallet = await ledgerService.openWallet(userId);
       }
       
-      // Get current prices for all currencies
+      // Get current prices for all currencies; a currency without a recent price has no USD value
       const prices = await cryptoService.getAllPrices();
       
-      // Calculate USD equivalent for each currency
-      const balancesWithUsd = {};
-      
-      for (const [currency, amount] of Object.entries(wallet.balances)) {
-        balancesWithUsd[currency] = {
-          amount,
-          usdEquivalent: amount * prices[currency]
-        };
-      }
-      
       return {
         _id: wallet._id,
         userId: wallet.userId,
-        balances: balancesWithUsd,
+        balances: this.valueBalances(wallet, prices),
         updatedAt: wallet.updatedAt
       };
     } catch (error) {
@@ -45,18 +38,83 @@ class WalletService {
   }
 
   /**
-   * Get transaction history for a user
+   * Value a wallet's balances in USD; locked funds are held for pending withdrawals and not valued
+   * @param {Object} wallet - Wallet
+   * @param {Object} prices - USD price per currency, null where there is no recent price
+   * @returns {Object} - { available, locked, usdEquivalent } per currency
+   */
+  valueBalances(wallet, prices) {
+    const balances = {};
+    
+    for (const currency of currencies.symbols()) {
+      const available = wallet.getBalance(currency);
+      const locked = wallet.getLocked(currency);
+      // Disabled currencies are only listed while the wallet still holds some
+      if (!currencies.isEnabled(currency) && available === 0n && locked === 0n) continue;
+      
+      const price = prices[currency];
+      balances[currency] = {
+        available: amount.format(available, currency),
+        locked: amount.format(locked, currency),
+        usdEquivalent: price === null || price === undefined ? null : amount.toUsd(available, price, currency)
+      };
+    }
+    
+    return balances;
+  }
+
+  /**
+   * Get the USD valuation of several users' wallets
+   * @param {Array<string>} userIds - User IDs
+   * @param {Object} prices - USD price per currency, null where there is no recent price
+   * @returns {Promise<Array<{userId: string, balances: Object}>>} - Valuation per existing wallet
+   */
+  async getValuations(userIds, prices) {
+    const wallets = await Wallet.find({ userId: { $in: userIds } });
+    
+    return wallets.map(wallet => ({
+      userId: wallet.userId.toString(),
+      balances: this.valueBalances(wallet, prices)
+    }));
+  }
+
+  /**
+   * Get a page of a user's transaction history, newest first
    * @param {string} userId - User ID
-   * @param {number} limit - Number of transactions to retrieve
-   * @returns {Promise<Array>} - Array of transactions
+   * @param {Object} [filters] - See buildTransactionQuery
+   * @param {Object} [options]
+   * @param {string} [options.cursor] - nextCursor of the previous page, to continue after it
+   * @param {number} [options.limit] - Number of transactions to retrieve
+   * @returns {Promise<{transactions: Array, nextCursor: string|null}>} - Transactions, and the cursor of the next page or null on the last
    */
-  async getTransactionHistory(userId, limit = 20) {
+  async getTransactionHistory(userId, filters = {}, { cursor, limit = 20 } = {}) {
     try {
-      const transactions = await Transaction.find({ userId })
-        .sort({ timestamp: -1 })
-        .limit(limit);
+      const query = this.buildTransactionQuery(userId, filters);
+      if (cursor) {
+        // Continue strictly after the last transaction of the previous page
+        const { timestamp, id } = this.decodeCursor(cursor);
+        query.$and = [...(query.$and || []), {
+          $or: [
+            { timestamp: { $lt: timestamp } },
+            { timestamp, _id: { $lt: id } }
+          ]
+        }];
+      }
+      
+      // One extra tells whether another page follows
+      const transactions = await Transaction.find(query)
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(limit + 1);
       
-      return transactions;
+      const hasMore = transactions.length > limit;
+      if (hasMore) {
+        transactions.pop();
+      }
+      
+      return {
+        transactions,
+        nextCursor: hasMore ? this.encodeCursor(transactions[transactions.length - 1]) : null
+      };
     } catch (error) {
       console.error('Error getting transaction history:', error);
       throw error;
@@ -64,45 +122,120 @@ class WalletService {
   }
 
   /**
-   * Update a wallet's balance (with transaction safety)
+   * Stream a user's full transaction history, newest first
    * @param {string} userId - User ID
-   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
-   * @param {number} amount - Amount to add (positive) or subtract (negative)
-   * @returns {Promise<Object>} - Updated wallet
+   * @param {Object} [filters] - See buildTransactionQuery
+   * @returns {Object} - Mongoose query cursor of plain transaction objects
    */
-  async updateBalance(userId, currency, amount) {
-    const session = await mongoose.startSession();
-    session.startTransaction();
+  streamTransactionHistory(userId, filters = {}) {
+    return Transaction.find(this.buildTransactionQuery(userId, filters))
+      .sort({ timestamp: -1, _id: -1 })
+      .lean()
+      .cursor();
+  }
+
+  /**
+   * Build the query for a user's transactions matching a set of filters
+   * @param {string} userId - User ID
+   * @param {Object} filters
+   * @param {Array<string>} [filters.types] - Only these transaction types
+   * @param {string} [filters.currency] - Only transactions in this currency
+   * @param {Date} [filters.from] - Only transactions at or after this time
+   * @param {Date} [filters.to] - Only transactions at or before this time
+   * @param {string} [filters.roundId] - Only transactions of this game round
+   * @param {number|string} [filters.minAmount] - Only crypto amounts of at least this, in whole coins of the currency
+   * @param {number|string} [filters.maxAmount] - Only crypto amounts of at most this, in whole coins of the currency
+   * @returns {Object} - MongoDB query
+   */
+  buildTransactionQuery(userId, { types, currency, from, to, roundId, minAmount, maxAmount } = {}) {
+    const query = { userId };
     
-    try {
-      // Find wallet with session for transaction safety
-      const wallet = await Wallet.findOne({ userId }).session(session);
-      
-      if (!wallet) {
-        throw new Error('Wallet not found');
+    if (types && types.length > 0) {
+      const known = Transaction.schema.path('transactionType').enumValues;
+      const unknown = types.find(type => !known.includes(type));
+      if (unknown) {
+        throw new Error(`Invalid transaction type: ${unknown}`);
       }
-      
-      // Check if balance would go negative
-      const currentBalance = wallet.balances[currency] || 0;
-      if (currentBalance + amount < 0) {
-        throw new Error(`Insufficient ${currency} balance`);
+      query.transactionType = types.length === 1 ? types[0] : { $in: types };
+    }
+    
+    if (currency) {
+      if (!currencies.isKnown(currency)) {
+        throw new Error(`Unsupported currency: ${currency}`);
+      }
+      query.currency = currency;
+    }
+    
+    if (from || to) {
+      query.timestamp = {};
+      if (from) query.timestamp.$gte = from;
+      if (to) query.timestamp.$lte = to;
+    }
+    
+    if (roundId) {
+      if (!mongoose.isValidObjectId(roundId)) {
+        throw new Error(`Invalid round ID: ${roundId}`);
+      }
+      query.gameRoundId = roundId;
+    }
+    
+    // Base units differ per currency, so amounts only compare within one
+    if (minAmount !== undefined || maxAmount !== undefined) {
+      if (!currency) {
+        throw new Error('Invalid amount filter: minAmount and maxAmount require a currency');
+      }
+      query.cryptoAmount = {};
+      if (minAmount !== undefined) query.cryptoAmount.$gte = amount.toDecimal128(amount.toBaseUnits(minAmount, currency));
+      if (maxAmount !== undefined) query.cryptoAmount.$lte = amount.toDecimal128(amount.toBaseUnits(maxAmount, currency));
+    }
+    
+    return query;
+  }
+
+  /**
+   * Opaque cursor pointing at a transaction in the history order
+   * @param {Object} transaction - Last transaction of a page
+   * @returns {string} - Cursor
+   */
+  encodeCursor(transaction) {
+    return Buffer.from(`${transaction.timestamp.getTime()}:${transaction._id}`).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor made by encodeCursor
+   * @param {string} cursor - Cursor
+   * @returns {{timestamp: Date, id: Object}} - Time and ID of the transaction it points at
+   */
+  decodeCursor(cursor) {
+    const [time, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split(':');
+    const timestamp = new Date(Number(time));
+    if (!time || isNaN(timestamp.getTime()) || !mongoose.isValidObjectId(id)) {
+      throw new Error('Invalid cursor');
+    }
+    
+    return { timestamp, id: new mongoose.Types.ObjectId(id) };
+  }
+
+  /**
+   * Get the ledger entries of a user's account, showing how each balance was reached
+   * @param {string} userId - User ID
+   * @param {Object} [options]
+   * @param {string} [options.currency] - Only entries in this currency
+   * @param {number} [options.limit] - Number of entries to retrieve
+   * @returns {Promise<Array>} - Ledger entries, newest first, with the balance after each
+   */
+  async getLedger(userId, { currency, limit = 50 } = {}) {
+    try {
+      const query = { userId, accountType: 'user' };
+      if (currency) {
+        query.currency = currency;
       }
       
-      // Update balance
-      wallet.balances[currency] = currentBalance + amount;
-      await wallet.save({ session });
-      
-      // Commit transaction
-      await session.commitTransaction();
-      session.endSession();
-      
-      return wallet;
+      return await LedgerEntry.find(query)
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(limit);
     } catch (error) {
-      // Abort transaction on error
-      await session.abortTransaction();
-      session.endSession();
-      
-      console.error('Error updating wallet balance:', error);
+      console.error('Error getting ledger entries:', error);
       throw error;
     }
   }
@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const Withdrawal = require('../models/withdrawal.model');
+const ledgerService = require('./ledger.service');
+const amount = require('../utils/amount');
+const currencies = require('../utils/currencies');
+const { getChainAdapter } = require('../adapters');
+
+// Statuses that count towards the daily limit
+const COUNTED_STATUSES = ['pending', 'processing', 'completed'];
+
+// Window of the daily limit
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Withdrawals from user wallets to the chain.
+ *
+ * A request is checked against the currency's per-transaction and daily limits
+ * and locks its amount (available → locked balance) until an admin reviews it.
+ * Rejecting it returns the funds to the available balance; approving it hands the
+ * transfer to the chain adapter and pays the locked funds out once it is sent.
+ * If the adapter fails, the funds are returned and the withdrawal marked failed.
+ */
+class WithdrawalService {
+  constructor() {
+    // Users with a request in progress per currency, so two requests can't both pass the daily limit
+    this.requesting = new Set();
+  }
+
+  /**
+   * Request a withdrawal and lock its amount
+   * @param {string} userId - User ID
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {string} address - Receiving address
+   * @param {number|string} value - Amount in whole coins
+   * @returns {Promise<Object>} - Pending withdrawal
+   */
+  async requestWithdrawal(userId, currency, address, value) {
+    const limits = currencies.getEnabled(currency).withdrawal;
+    if (!getChainAdapter().validateAddress(currency, address)) {
+      throw new Error(`Invalid ${currency} address`);
+    }
+
+    const units = amount.toBaseUnits(value, currency);
+
+    if (units < amount.toBaseUnits(limits.minAmount, currency)) {
+      throw new Error(`Withdrawal is below the minimum of ${limits.minAmount} ${currency}`);
+    }
+    if (units > amount.toBaseUnits(limits.maxAmount, currency)) {
+      throw new Error(`Withdrawal is above the per-transaction limit of ${limits.maxAmount} ${currency}`);
+    }
+
+    const key = `${userId}:${currency}`;
+    if (this.requesting.has(key)) {
+      throw new Error('A withdrawal request is already being processed');
+    }
+    this.requesting.add(key);
+
+    try {
+      const requestedToday = await this.getDailyTotal(userId, currency);
+      if (requestedToday + units > amount.toBaseUnits(limits.maxDaily, currency)) {
+        throw new Error(`Withdrawal exceeds the daily limit of ${limits.maxDaily} ${currency}`);
+      }
+
+      const withdrawal = new Withdrawal({ userId, currency, address, amount: units });
+
+      await ledgerService.hold(userId, currency, units, {
+        transactionType: 'withdrawal_request'
+      }, {
+        within: async (transaction, session) => {
+          withdrawal.holdTransactionId = transaction._id;
+          await withdrawal.save({ session });
+        }
+      });
+
+      return withdrawal;
+    } finally {
+      this.requesting.delete(key);
+    }
+  }
+
+  /**
+   * Amount a user requested in a currency over the last 24 hours, excluding rejected and failed withdrawals
+   * @param {string} userId - User ID
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @returns {Promise<bigint>} - Base units
+   */
+  async getDailyTotal(userId, currency) {
+    const [total] = await Withdrawal.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(userId),
+          currency,
+          status: { $in: COUNTED_STATUSES },
+          requestedAt: { $gte: new Date(Date.now() - DAY_MS) }
+        }
+      },
+      { $group: { _id: null, amount: { $sum: '$amount' } } }
+    ]);
+
+    return total ? amount.toBigInt(total.amount) : 0n;
+  }
+
+  /**
+   * Get withdrawals, newest first
+   * @param {Object} [filter]
+   * @param {string} [filter.userId] - Only this user's withdrawals
+   * @param {string} [filter.status] - Only withdrawals in this status
+   * @param {number} [limit] - Number of withdrawals to retrieve
+   * @returns {Promise<Array>} - Withdrawals
+   */
+  async getWithdrawals({ userId, status } = {}, limit = 20) {
+    const query = {};
+    if (userId) query.userId = userId;
+    if (status) query.status = status;
+
+    return Withdrawal.find(query)
+      .sort({ requestedAt: -1 })
+      .limit(limit);
+  }
+
+  /**
+   * Approve a pending withdrawal and send it through the chain adapter
+   * @param {string} withdrawalId - Withdrawal ID
+   * @param {Object} admin - Reviewing admin (req.user)
+   * @returns {Promise<Object>} - Completed withdrawal, or failed if the transfer could not be sent
+   */
+  async approveWithdrawal(withdrawalId, admin) {
+    // Claim the withdrawal so it can only be approved or rejected once
+    const withdrawal = await Withdrawal.findOneAndUpdate(
+      { _id: withdrawalId, status: 'pending' },
+      { status: 'processing', reviewedBy: admin._id, reviewedAt: new Date() },
+      { new: true }
+    );
+    if (!withdrawal) {
+      throw new Error(await Withdrawal.exists({ _id: withdrawalId }) ? 'Withdrawal is not pending' : 'Withdrawal not found');
+    }
+
+    let sent;
+    try {
+      sent = await getChainAdapter().sendTransfer(withdrawal.currency, withdrawal.address, withdrawal.amount);
+    } catch (error) {
+      console.error(`Error sending withdrawal ${withdrawal._id}:`, error.message);
+      return this.releaseWithdrawal(withdrawal, 'processing', { status: 'failed', failureReason: error.message });
+    }
+
+    // Keep the hash before settling, so a sent transfer is never lost track of
+    withdrawal.txHash = sent.txHash;
+    await withdrawal.save();
+
+    await ledgerService.settleHold(withdrawal.userId, withdrawal.currency, withdrawal.amount, {
+      transactionType: 'withdrawal',
+      transactionHash: sent.txHash
+    }, {
+      within: async (transaction, session) => {
+        withdrawal.status = 'completed';
+        withdrawal.settlementTransactionId = transaction._id;
+        withdrawal.completedAt = new Date();
+        await withdrawal.save({ session });
+      }
+    });
+
+    return withdrawal;
+  }
+
+  /**
+   * Reject a pending withdrawal and return its funds
+   * @param {string} withdrawalId - Withdrawal ID
+   * @param {Object} admin - Reviewing admin (req.user)
+   * @param {string} [reason] - Why it was rejected
+   * @returns {Promise<Object>} - Rejected withdrawal
+   */
+  async rejectWithdrawal(withdrawalId, admin, reason = null) {
+    const withdrawal = await Withdrawal.findById(withdrawalId);
+    if (!withdrawal) {
+      throw new Error('Withdrawal not found');
+    }
+
+    return this.releaseWithdrawal(withdrawal, 'pending', {
+      status: 'rejected',
+      rejectionReason: reason,
+      reviewedBy: admin._id,
+      reviewedAt: new Date()
+    });
+  }
+
+  /**
+   * Return a withdrawal's locked funds to the available balance and close it
+   * @param {Object} withdrawal - Withdrawal
+   * @param {string} fromStatus - Status the withdrawal must still be in
+   * @param {Object} update - Final status and review or failure details
+   * @returns {Promise<Object>} - Updated withdrawal
+   */
+  async releaseWithdrawal(withdrawal, fromStatus, update) {
+    const completedAt = new Date();
+
+    await ledgerService.release(withdrawal.userId, withdrawal.currency, withdrawal.amount, {
+      transactionType: 'withdrawal_release'
+    }, {
+      within: async (transaction, session) => {
+        // Fails, and rolls the release back, if someone else settled the withdrawal first
+        const result = await Withdrawal.updateOne(
+          { _id: withdrawal._id, status: fromStatus },
+          { ...update, settlementTransactionId: transaction._id, completedAt },
+          { session }
+        );
+        if (result.modifiedCount === 0) {
+          throw new Error(`Withdrawal is not ${fromStatus}`);
+        }
+        withdrawal.set({ ...update, settlementTransactionId: transaction._id, completedAt });
+      }
+    });
+
+    return withdrawal;
+  }
+}
+
+module.exports = new WithdrawalService();
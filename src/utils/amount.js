@@ -0,0 +1,231 @@
+const { Decimal128 } = require('mongoose').Types;
+const currencies = require('./currencies');
+
+// Precision used for USD amounts and prices when converting to crypto
+const USD_DECIMALS = 8;
+
+/**
+ * Crypto amounts in integer base units (satoshis for BTC, wei for ETH)
+ *
+ * Every crypto amount is a BigInt of base units in memory and a Decimal128
+ * holding that integer in MongoDB, so balances never pick up floating point
+ * drift. Amounts leave the API as decimal strings in whole coins.
+ *
+ * Rounding rules:
+ * - USD to crypto conversions round down to the nearest base unit
+ * - Payouts (stake × multiplier) round down to the nearest base unit
+ * - Swaps between currencies round down to the nearest base unit
+ * - Migrating legacy floating point amounts rounds to the nearest base unit
+ */
+const amount = {
+  /**
+   * Number of decimals of a currency's base unit
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @returns {number} - Decimals
+   */
+  decimals: (currency) => {
+    const definition = currencies.get(currency);
+    if (!definition) {
+      throw new Error(`Unsupported currency: ${currency}`);
+    }
+    return definition.decimals;
+  },
+
+  /**
+   * Parse a decimal number into an integer scaled by 10^decimals, without going through floats
+   * @param {number|string} value - Decimal value, e.g. 0.0005, '1.25' or 1e-7
+   * @param {number} decimals - Digits to keep after the decimal point
+   * @param {string} [rounding] - down, up or nearest for digits beyond the precision
+   * @returns {bigint} - Scaled integer
+   */
+  parseDecimal: (value, decimals, rounding = 'down') => {
+    if (typeof value === 'number' && !isFinite(value)) {
+      throw new Error(`Invalid amount: ${value}`);
+    }
+
+    let str = String(value).trim();
+    const match = str.match(/^(-?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i);
+    if (!match || (!match[2] && !match[3])) {
+      throw new Error(`Invalid amount: ${value}`);
+    }
+
+    const [, sign, intDigits, fracDigits = '', exponent = '0'] = match;
+
+    // Move the decimal point by the exponent (String(1e-7) is '1e-7')
+    let digits = (intDigits || '0') + fracDigits;
+    let point = (intDigits || '0').length + parseInt(exponent, 10);
+    if (point < 0) {
+      digits = '0'.repeat(-point) + digits;
+      point = 0;
+    } else if (point > digits.length) {
+      digits = digits + '0'.repeat(point - digits.length);
+    }
+
+    const whole = digits.slice(0, point) || '0';
+    const fraction = digits.slice(point);
+    const kept = (fraction + '0'.repeat(decimals)).slice(0, decimals);
+    const rest = fraction.slice(decimals);
+
+    let scaled = BigInt(whole) * 10n ** BigInt(decimals) + BigInt(kept || '0');
+    if (rounding === 'up' && /[1-9]/.test(rest)) {
+      scaled += 1n;
+    } else if (rounding === 'nearest' && rest[0] >= '5') {
+      scaled += 1n;
+    }
+
+    return sign === '-' ? -scaled : scaled;
+  },
+
+  /**
+   * Convert an amount in whole coins to base units
+   * @param {number|string|bigint} value - Amount in whole coins (bigints are already base units)
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @param {string} [rounding] - down, up or nearest
+   * @returns {bigint} - Base units
+   */
+  toBaseUnits: (value, currency, rounding = 'down') => {
+    if (typeof value === 'bigint') {
+      return value;
+    }
+    return amount.parseDecimal(value, amount.decimals(currency), rounding);
+  },
+
+  /**
+   * Format base units as a decimal string in whole coins
+   * @param {bigint|Object|string} units - Base units (bigint, Decimal128 or integer string)
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @returns {string} - e.g. '0.0005'
+   */
+  format: (units, currency) => {
+    const value = amount.toBigInt(units);
+    const decimals = amount.decimals(currency);
+    const negative = value < 0n;
+    const digits = (negative ? -value : value).toString().padStart(decimals + 1, '0');
+    const whole = digits.slice(0, digits.length - decimals);
+    const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+
+    return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+  },
+
+  /**
+   * Read base units stored in any form as a bigint
+   * @param {bigint|Object|string|number|null} value - bigint, Decimal128, integer string or number
+   * @returns {bigint} - Base units, 0n for null
+   */
+  toBigInt: (value) => {
+    if (value === null || value === undefined) {
+      return 0n;
+    }
+    if (typeof value === 'bigint') {
+      return value;
+    }
+    if (typeof value === 'number') {
+      return BigInt(Math.round(value));
+    }
+    return BigInt(value.toString());
+  },
+
+  /**
+   * Convert base units to a Decimal128 for storage
+   * @param {bigint|Object|string|number} value - Base units
+   * @returns {Object} - Decimal128
+   */
+  toDecimal128: (value) => {
+    return Decimal128.fromString(amount.toBigInt(value).toString());
+  },
+
+  /**
+   * Mongoose schema type for a crypto amount in base units
+   * @param {Object} [options] - Extra path options (required, default, comment)
+   * @returns {Object} - Schema path definition
+   */
+  schemaType: (options = {}) => ({
+    type: Decimal128,
+    get: value => (value === null || value === undefined ? value : amount.toBigInt(value)),
+    set: value => (value === null || value === undefined || value instanceof Decimal128 ? value : amount.toDecimal128(value)),
+    ...options
+  }),
+
+  /**
+   * Convert a USD amount to base units at a price, rounding down
+   * @param {number} usdAmount - Amount in USD
+   * @param {number} price - USD per coin
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @returns {bigint} - Base units
+   */
+  fromUsd: (usdAmount, price, currency) => {
+    const usd = amount.parseDecimal(usdAmount, USD_DECIMALS);
+    const scaledPrice = amount.parseDecimal(price, USD_DECIMALS);
+    if (scaledPrice <= 0n) {
+      throw new Error(`Invalid ${currency} price: ${price}`);
+    }
+    return (usd * 10n ** BigInt(amount.decimals(currency))) / scaledPrice;
+  },
+
+  /**
+   * USD value of base units at a price, for display
+   * @param {bigint} units - Base units
+   * @param {number} price - USD per coin
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   * @returns {number} - Amount in USD
+   */
+  toUsd: (units, price, currency) => {
+    return Number(amount.format(units, currency)) * price;
+  },
+
+  /**
+   * Convert base units of one currency to another at their USD prices, rounding down
+   * @param {bigint} units - Base units of the source currency
+   * @param {string} fromCurrency - Source currency
+   * @param {number} fromPrice - USD per coin of the source currency
+   * @param {string} toCurrency - Target currency
+   * @param {number} toPrice - USD per coin of the target currency
+   * @returns {bigint} - Base units of the target currency
+   */
+  convert: (units, fromCurrency, fromPrice, toCurrency, toPrice) => {
+    const scaledFrom = amount.parseDecimal(fromPrice, USD_DECIMALS);
+    const scaledTo = amount.parseDecimal(toPrice, USD_DECIMALS);
+    if (scaledTo <= 0n) {
+      throw new Error(`Invalid ${toCurrency} price: ${toPrice}`);
+    }
+    return (units * scaledFrom * 10n ** BigInt(amount.decimals(toCurrency))) /
+      (scaledTo * 10n ** BigInt(amount.decimals(fromCurrency)));
+  },
+
+  /**
+   * Pay a stake at a multiplier with two decimals, rounding down
+   * @param {bigint} units - Stake in base units
+   * @param {number} multiplier - Multiplier, e.g. 2.35
+   * @returns {bigint} - Payout in base units
+   */
+  applyMultiplier: (units, multiplier) => {
+    return (units * BigInt(Math.round(multiplier * 100))) / 100n;
+  },
+
+  /**
+   * Replace every crypto amount in a value with a decimal string, for JSON output.
+   * Amounts are recognised as bigints or Decimal128s on objects that carry a currency.
+   * @param {*} value - Object, array or scalar
+   * @param {string} [currency] - Currency of amounts at this level
+   * @returns {*} - Copy safe to serialize
+   */
+  serialize: (value, currency = null) => {
+    if (typeof value === 'bigint' || value instanceof Decimal128 || (value && value._bsontype === 'Decimal128')) {
+      return currency ? amount.format(value, currency) : amount.toBigInt(value).toString();
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => amount.serialize(item, currency));
+    }
+    if (value && typeof value === 'object' && value.constructor === Object) {
+      const own = typeof value.currency === 'string' ? value.currency : currency;
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        result[key] = amount.serialize(item, own);
+      }
+      return result;
+    }
+    return value;
+  }
+};
+
+module.exports = amount;
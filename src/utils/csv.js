@@ -0,0 +1,41 @@
+/**
+ * CSV formatting (RFC 4180)
+ *
+ * Fields holding a comma, quote or line break are quoted, with quotes doubled.
+ * Fields a spreadsheet would run as a formula (starting with =, +, - or @) are
+ * prefixed with a quote so exported text can't execute, unless they are plain
+ * numbers.
+ */
+const csv = {
+  /**
+   * Format one field
+   * @param {*} value - Field value; null and undefined become empty
+   * @returns {string} - CSV field
+   */
+  field: (value) => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    let str = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@]/.test(str) && isNaN(Number(str))) {
+      str = `'${str}`;
+    }
+    if (/[",\r\n]/.test(str)) {
+      str = `"${str.replace(/"/g, '""')}"`;
+    }
+
+    return str;
+  },
+
+  /**
+   * Format one line
+   * @param {Array} values - Field values
+   * @returns {string} - CSV line, ending with CRLF
+   */
+  row: (values) => {
+    return `${values.map(csv.field).join(',')}\r\n`;
+  }
+};
+
+module.exports = csv;
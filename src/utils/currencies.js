@@ -0,0 +1,87 @@
+const config = require('../config/config');
+
+/**
+ * Currency registry
+ *
+ * Every currency and its settings (decimals, price feed id, bet limits, ...) live
+ * in config.currencies, so adding one takes no code or schema change. Known
+ * currencies are valid in stored documents; only enabled ones accept new activity.
+ */
+const currencies = {
+  /**
+   * Every registered currency
+   * @returns {Array<Object>} - Currency definitions
+   */
+  list: () => config.currencies,
+
+  /**
+   * Get a currency's definition
+   * @param {string} symbol - Currency symbol, e.g. BTC
+   * @returns {Object|null} - Definition, or null if it is not registered
+   */
+  get: (symbol) => {
+    return config.currencies.find(currency => currency.symbol === symbol) || null;
+  },
+
+  /**
+   * Get an enabled currency's definition
+   * @param {string} symbol - Currency symbol, e.g. BTC
+   * @returns {Object} - Definition
+   */
+  getEnabled: (symbol) => {
+    const currency = currencies.get(symbol);
+    if (!currency || currency.enabled === false) {
+      throw new Error(`Unsupported currency: ${symbol}`);
+    }
+    return currency;
+  },
+
+  /**
+   * Symbols of every registered currency
+   * @returns {Array<string>} - Symbols
+   */
+  symbols: () => config.currencies.map(currency => currency.symbol),
+
+  /**
+   * Symbols of the currencies that accept new activity
+   * @returns {Array<string>} - Symbols
+   */
+  enabledSymbols: () => {
+    return config.currencies
+      .filter(currency => currency.enabled !== false)
+      .map(currency => currency.symbol);
+  },
+
+  /**
+   * Whether a currency is registered
+   * @param {string} symbol - Currency symbol
+   * @returns {boolean}
+   */
+  isKnown: (symbol) => currencies.get(symbol) !== null,
+
+  /**
+   * Whether a currency is registered and enabled
+   * @param {string} symbol - Currency symbol
+   * @returns {boolean}
+   */
+  isEnabled: (symbol) => {
+    const currency = currencies.get(symbol);
+    return currency !== null && currency.enabled !== false;
+  },
+
+  /**
+   * Mongoose schema type for a currency symbol, validated against the registry
+   * @param {Object} [options] - Extra path options (required, default, comment)
+   * @returns {Object} - Schema path definition
+   */
+  schemaType: (options = {}) => ({
+    type: String,
+    validate: {
+      validator: value => value === null || currencies.isKnown(value),
+      message: props => `Unknown currency: ${props.value}`
+    },
+    ...options
+  })
+};
+
+module.exports = currencies;
@@ -0,0 +1,34 @@
+/**
+ * Error with a machine-readable code that controllers return to the client
+ * alongside the message, e.g. { message, code: 'BET_ABOVE_MAXIMUM' }.
+ */
+class GameError extends Error {
+  /**
+   * @param {string} code - Machine-readable error code
+   * @param {string} message - Human-readable message
+   * @param {number} [statusCode] - HTTP status to respond with
+   */
+  constructor(code, message, statusCode = 400) {
+    super(message);
+    this.name = 'GameError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * No price of a currency is recent enough to trade on; anything priced in USD
+ * has to wait until the price oracle recovers.
+ */
+class PriceUnavailableError extends Error {
+  /**
+   * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+   */
+  constructor(currency) {
+    super(`No current ${currency} price is available`);
+    this.name = 'PriceUnavailableError';
+    this.currency = currency;
+  }
+}
+
+module.exports = { GameError, PriceUnavailableError };
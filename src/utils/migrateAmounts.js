@@ -0,0 +1,122 @@
+/**
+ * Amount Migration Script
+ *
+ * Converts crypto amounts stored as floating point numbers of whole coins into
+ * Decimal128 integers of base units (satoshis, wei), rounding to the nearest
+ * base unit. Amounts that are already Decimal128 are left alone, so the script
+ * can be run more than once.
+ * Usage: npm run migrate:amounts
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const amount = require('./amount');
+
+/**
+ * Convert a legacy amount in whole coins to Decimal128 base units
+ * @param {*} value - Stored value
+ * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+ * @returns {Object|null} - Decimal128, or null when the value needs no migration
+ */
+function migrateValue(value, currency) {
+  if (typeof value !== 'number') {
+    return null;
+  }
+  return amount.toDecimal128(amount.toBaseUnits(value, currency, 'nearest'));
+}
+
+/**
+ * Convert the named amount fields of an object in place
+ * @param {Object} target - Document or subdocument
+ * @param {Array<string>} fields - Amount fields
+ * @param {string} currency - Cryptocurrency symbol (BTC, ETH)
+ * @returns {boolean} - Whether anything changed
+ */
+function migrateFields(target, fields, currency) {
+  let changed = false;
+
+  for (const field of fields) {
+    const migrated = migrateValue(target[field], currency);
+    if (migrated) {
+      target[field] = migrated;
+      changed = true;
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Rewrite every document of a collection whose amounts need migrating
+ * @param {string} name - Collection name
+ * @param {Function} migrate - Converts a document in place and returns the fields to $set
+ * @returns {Promise<number>} - Documents updated
+ */
+async function migrateCollection(name, migrate) {
+  const collection = mongoose.connection.db.collection(name);
+  const cursor = collection.find({});
+  let updated = 0;
+
+  for await (const doc of cursor) {
+    const update = migrate(doc);
+    if (update) {
+      await collection.updateOne({ _id: doc._id }, { $set: update });
+      updated++;
+    }
+  }
+
+  console.log(`${name}: migrated ${updated} document(s)`);
+  return updated;
+}
+
+async function migrateAmounts() {
+  let exitCode = 0;
+
+  try {
+    await mongoose.connect(config.mongodbUri);
+    console.log('Connected to MongoDB');
+
+    await migrateCollection('wallets', (doc) => {
+      const balances = doc.balances || {};
+      let changed = false;
+      for (const currency of Object.keys(balances)) {
+        changed = migrateFields(balances, [currency], currency) || changed;
+      }
+      return changed ? { balances } : null;
+    });
+
+    await migrateCollection('transactions', (doc) => {
+      return migrateFields(doc, ['cryptoAmount'], doc.currency) ? { cryptoAmount: doc.cryptoAmount } : null;
+    });
+
+    await migrateCollection('gamerounds', (doc) => {
+      let changed = false;
+      for (const bet of doc.bets || []) {
+        changed = migrateFields(bet, ['cryptoAmount', 'payout', 'profit'], bet.currency) || changed;
+      }
+      for (const cashout of doc.cashouts || []) {
+        changed = migrateFields(cashout, ['cryptoAmount'], cashout.currency) || changed;
+      }
+      return changed ? { bets: doc.bets, cashouts: doc.cashouts } : null;
+    });
+
+    await migrateCollection('ledgerentries', (doc) => {
+      return migrateFields(doc, ['amount', 'balanceAfter'], doc.currency)
+        ? { amount: doc.amount, balanceAfter: doc.balanceAfter }
+        : null;
+    });
+
+    console.log('Amount migration completed');
+  } catch (error) {
+    console.error('Error migrating amounts:', error);
+    exitCode = 1;
+  } finally {
+    // Close the connection
+    await mongoose.connection.close();
+    process.exit(exitCode);
+  }
+}
+
+// Run the script
+migrateAmounts();
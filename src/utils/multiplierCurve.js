@@ -0,0 +1,39 @@
+/**
+ * Multiplier curve for a game round
+ *
+ * The multiplier depends only on the time elapsed since the round started:
+ * multiplier(t) = e^(growthRate * t), with t in milliseconds. Clients receive
+ * the round's startTime and growthRate and draw the same curve locally, so the
+ * server only needs to send occasional sync ticks.
+ */
+const multiplierCurve = {
+  /**
+   * Multiplier reached after a given time, floored to 2 decimals
+   * @param {number} elapsedMs - Milliseconds since the round started
+   * @param {number} growthRate - Exponential growth rate per millisecond
+   * @returns {number} - Multiplier
+   */
+  multiplierAt: (elapsedMs, growthRate) => {
+    if (elapsedMs <= 0) {
+      return 1.0;
+    }
+
+    return Math.floor(100 * Math.exp(growthRate * elapsedMs)) / 100;
+  },
+
+  /**
+   * Time after which the curve reaches a given multiplier
+   * @param {number} multiplier - Target multiplier
+   * @param {number} growthRate - Exponential growth rate per millisecond
+   * @returns {number} - Milliseconds since the round started
+   */
+  elapsedForMultiplier: (multiplier, growthRate) => {
+    if (multiplier <= 1) {
+      return 0;
+    }
+
+    return Math.ceil(Math.log(multiplier) / growthRate);
+  }
+};
+
+module.exports = multiplierCurve;
@@ -0,0 +1,52 @@
+/**
+ * Promote Admin Script
+ * 
+ * Grants (or with --revoke, removes) the admin role for a user.
+ * Usage: npm run promote-admin -- <email> [--revoke]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const User = require('../models/user.model');
+
+async function promoteAdmin() {
+  const email = process.argv[2];
+  const revoke = process.argv.includes('--revoke');
+  
+  if (!email || email.startsWith('--')) {
+    console.error('Usage: npm run promote-admin -- <email> [--revoke]');
+    process.exit(1);
+  }
+  
+  let exitCode = 0;
+  
+  try {
+    await mongoose.connect(config.mongodbUri);
+    console.log('Connected to MongoDB');
+    
+    const role = revoke ? 'user' : 'admin';
+    const user = await User.findOneAndUpdate(
+      { email: email.toLowerCase() },
+      { role },
+      { new: true }
+    );
+    
+    if (!user) {
+      console.error(`No user found with email ${email}`);
+      exitCode = 1;
+    } else {
+      console.log(`${user.username} (${user.email}) now has the ${user.role} role`);
+    }
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    exitCode = 1;
+  } finally {
+    // Close the connection
+    await mongoose.connection.close();
+    process.exit(exitCode);
+  }
+}
+
+// Run the script
+promoteAdmin();
@@ -1,7 +1,29 @@
 const crypto = require('crypto');
+const config = require('../config/config');
+
+// Number of hex characters that make up 52 bits, the integer precision of a double
+const HEX_CHARS_52_BITS = 13;
+const TWO_POW_52 = Math.pow(2, 52);
 
 /**
  * Utility functions for provably fair crash game
+ *
+ * Server seeds come from a reverse SHA-256 hash chain: the chain is generated
+ * up front and played from the end, so every seed hashes to the seed of the
+ * round before it. Before betting opens, only `hashSeed(seed)` is published;
+ * the seed itself is revealed once the round has crashed. The crash point is
+ * derived from HMAC-SHA256(serverSeed, clientSeed), where the client seed is a
+ * public salt from configuration.
+ *
+ * Each table stores its chain (the terminal seed, the seeds played and the
+ * commitment) and resumes it after a restart, so a commitment stays binding until
+ * its last seed is played. The salt is fixed into each chain when it is committed
+ * and must be set in production; it only keeps the operator from picking a chain
+ * by its outcomes if it was not known when the chain was generated.
+ *
+ * Crash points follow the inverse distribution P(crash >= x) = (1 - houseEdge) / x,
+ * floored to two decimals and capped at maxCrashValue. An optional instant-crash
+ * rate busts that share of rounds at 1.00x on top of the house edge.
  */
 const provablyFair = {
   /**
@@ -11,62 +33,144 @@ const provablyFair = {
   generateSeed: () => {
     return crypto.randomBytes(32).toString('hex');
   },
-  
+
   /**
-   * Generate a hash from a seed and round number
-   * @param {string} seed - Random seed
-   * @param {number} roundNumber - Game round number
-   * @returns {string} - Hash
+   * Hash a server seed, producing the commitment published before a round
+   * @param {string} seed - Server seed
+   * @returns {string} - SHA-256 hash of the seed
    */
-  generateHash: (seed, roundNumber) => {
+  hashSeed: (seed) => {
     return crypto.createHash('sha256')
-      .update(`${seed}:${roundNumber}`)
+      .update(seed)
+      .digest('hex');
+  },
+
+  /**
+   * Generate a reverse hash chain of server seeds
+   * @param {number} length - Number of seeds in the chain
+   * @param {string} [terminalSeed] - Secret seed the chain is built from
+   * @returns {{seeds: Array<string>, commitment: string}} - Seeds in play order and the
+   *   chain commitment (the hash of the first seed played)
+   */
+  generateHashChain: (length, terminalSeed = provablyFair.generateSeed()) => {
+    const seeds = [terminalSeed];
+
+    for (let i = 1; i < length; i++) {
+      seeds.push(provablyFair.hashSeed(seeds[i - 1]));
+    }
+
+    // The last seed generated is played first
+    seeds.reverse();
+
+    return {
+      seeds,
+      commitment: provablyFair.hashSeed(seeds[0])
+    };
+  },
+
+  /**
+   * Combine a server seed with a client seed into the hash the crash point is read from
+   * @param {string} serverSeed - Server seed revealed after the round
+   * @param {string} [clientSeed] - Public client seed / salt
+   * @returns {string} - Game hash
+   */
+  generateGameHash: (serverSeed, clientSeed = '') => {
+    return crypto.createHmac('sha256', serverSeed)
+      .update(clientSeed)
       .digest('hex');
   },
-  
+
+  /**
+   * Resolve crash distribution settings, falling back to the game configuration
+   * @param {Object} [options]
+   * @param {number} [options.houseEdge] - Share of every bet kept by the house (0.01 = 1%)
+   * @param {number} [options.instantCrashRate] - Share of rounds that crash at 1.00x
+   * @param {number} [options.maxCrashValue] - Maximum crash value
+   * @returns {{houseEdge: number, instantCrashRate: number, maxCrashValue: number}}
+   */
+  resolveOptions: ({ houseEdge, instantCrashRate, maxCrashValue } = {}) => {
+    return {
+      houseEdge: houseEdge != null ? houseEdge : config.game.houseEdge,
+      instantCrashRate: instantCrashRate != null ? instantCrashRate : config.game.instantCrashRate,
+      maxCrashValue: maxCrashValue != null ? maxCrashValue : config.game.maxCrashValue
+    };
+  },
+
   /**
-   * Calculate crash point from a hash
-   * @param {string} hash - Hash generated from seed and round number
-   * @param {number} maxCrashValue - Maximum crash value
+   * Read a uniform number in [0, 1) from 52 bits of a hash
+   * @param {string} hash - Hex hash
+   * @param {number} offset - Index of the 52-bit block to read
+   * @returns {number} - Uniform number in [0, 1)
+   */
+  hashToUniform: (hash, offset = 0) => {
+    const start = offset * HEX_CHARS_52_BITS;
+    return parseInt(hash.slice(start, start + HEX_CHARS_52_BITS), 16) / TWO_POW_52;
+  },
+
+  /**
+   * Calculate crash point from a game hash
+   * @param {string} gameHash - Hash generated from the server and client seeds
+   * @param {Object} [options] - Crash distribution settings (see resolveOptions)
    * @returns {number} - Crash point
    */
-  calculateCrashPoint: (hash, maxCrashValue = 100) => {
-    // Use the first 8 characters of the hash to generate a number
-    const hashFragment = hash.slice(0, 8);
-    const decimal = parseInt(hashFragment, 16);
-    
-    // Calculate crash point with 2 decimal places
-    // Ensure minimum crash point is 1.0
-    let crashPoint = 1.0 + (decimal % maxCrashValue);
-    
-    // Ensure crash point has 2 decimal places
-    crashPoint = parseFloat(crashPoint.toFixed(2));
-    
-    return crashPoint;
+  calculateCrashPoint: (gameHash, options) => {
+    const { houseEdge, instantCrashRate, maxCrashValue } = provablyFair.resolveOptions(options);
+
+    // Instant crashes are decided by a separate block of the hash
+    if (provablyFair.hashToUniform(gameHash, 1) < instantCrashRate) {
+      return 1.0;
+    }
+
+    // Inverse distribution: P(crash >= x) = (1 - houseEdge) / x
+    const r = provablyFair.hashToUniform(gameHash, 0);
+    const crashPoint = Math.floor((100 * (1 - houseEdge)) / (1 - r)) / 100;
+
+    // Anything below 1.00x is an instant crash; clamp to the configured cap
+    return Math.min(Math.max(crashPoint, 1.0), maxCrashValue);
+  },
+
+  /**
+   * Derive everything a round needs from its server seed
+   * @param {string} serverSeed - Server seed for the round
+   * @param {string} [clientSeed] - Public client seed / salt
+   * @param {Object} [options] - Crash distribution settings (see resolveOptions)
+   * @returns {{seed: string, hash: string, clientSeed: string, crashPoint: number,
+   *   houseEdge: number, instantCrashRate: number, maxCrashValue: number}}
+   */
+  generateRound: (serverSeed, clientSeed = '', options) => {
+    const resolved = provablyFair.resolveOptions(options);
+    const gameHash = provablyFair.generateGameHash(serverSeed, clientSeed);
+
+    return {
+      seed: serverSeed,
+      hash: provablyFair.hashSeed(serverSeed),
+      clientSeed,
+      crashPoint: provablyFair.calculateCrashPoint(gameHash, resolved),
+      ...resolved
+    };
   },
-  
+
   /**
-   * Verify a crash point using the seed, round number, and hash
-   * @param {string} seed - Random seed
-   * @param {number} roundNumber - Game round number
-   * @param {string} hash - Hash generated from seed and round number
+   * Verify a crash point using the revealed seed, the published hash and the client seed
+   * @param {string} seed - Server seed revealed after the round
+   * @param {string} hash - Hash published before the round
    * @param {number} crashPoint - Crash point
-   * @param {number} maxCrashValue - Maximum crash value
+   * @param {string} [clientSeed] - Public client seed / salt
+   * @param {Object} [options] - Crash distribution settings the round was played with
    * @returns {boolean} - Whether the crash point is valid
    */
-  verifyCrashPoint: (seed, roundNumber, hash, crashPoint, maxCrashValue = 100) => {
-    // Verify the hash
-    const calculatedHash = provablyFair.generateHash(seed, roundNumber);
-    
-    if (calculatedHash !== hash) {
+  verifyCrashPoint: (seed, hash, crashPoint, clientSeed = '', options) => {
+    // Verify the seed matches the published commitment
+    if (provablyFair.hashSeed(seed) !== hash) {
       return false;
     }
-    
+
     // Verify the crash point
-    const calculatedCrashPoint = provablyFair.calculateCrashPoint(hash, maxCrashValue);
-    
+    const gameHash = provablyFair.generateGameHash(seed, clientSeed);
+    const calculatedCrashPoint = provablyFair.calculateCrashPoint(gameHash, options);
+
     return calculatedCrashPoint === crashPoint;
   }
 };
 
-module.exports = provablyFair;
\ No newline at end of file
+module.exports = provablyFair;
@@ -0,0 +1,59 @@
+/**
+ * Ledger Reconciliation Script
+ * 
+ * Checks every wallet balance against the sum of its ledger entries and every
+ * journal against zero, and reports any drift. Exits with code 1 when drift is found.
+ * Usage: npm run reconcile -- [--user <userId>] [--backfill-opening]
+ * 
+ * --backfill-opening journals the balances of wallets created before the ledger
+ * existed as opening adjustments, so they reconcile from then on.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const ledgerService = require('../services/ledger.service');
+
+async function reconcile() {
+  const args = process.argv.slice(2);
+  const userIndex = args.indexOf('--user');
+  const userId = userIndex !== -1 ? args[userIndex + 1] : undefined;
+  let exitCode = 0;
+  
+  try {
+    await mongoose.connect(config.mongodbUri);
+    console.log('Connected to MongoDB');
+    
+    if (args.includes('--backfill-opening')) {
+      const written = await ledgerService.backfillOpeningBalances();
+      console.log(`Wrote ${written} opening balance journal(s)`);
+    }
+    
+    const report = await ledgerService.reconcile({ userId });
+    console.log(`Checked ${report.walletsChecked} wallet(s)`);
+    
+    for (const drift of report.drifts) {
+      console.log(`DRIFT user ${drift.userId} ${drift.currency}: wallet ${drift.walletBalance}, ledger ${drift.ledgerBalance}, drift ${drift.drift}`);
+    }
+    
+    for (const journal of report.unbalancedJournals) {
+      console.log(`UNBALANCED journal ${journal.journalId} ${journal.currency}: sum ${journal.sum} over ${journal.entries} entr${journal.entries === 1 ? 'y' : 'ies'}`);
+    }
+    
+    if (report.ok) {
+      console.log('All wallets reconcile with the ledger');
+    } else {
+      exitCode = 1;
+    }
+  } catch (error) {
+    console.error('Error reconciling ledger:', error);
+    exitCode = 1;
+  } finally {
+    // Close the connection
+    await mongoose.connection.close();
+    process.exit(exitCode);
+  }
+}
+
+// Run the script
+reconcile();
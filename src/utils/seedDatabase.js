@@ -3,8 +3,14 @@ const User = require('../models/user.model');
 const Wallet = require('../models/wallet.model');
 const GameRound = require('../models/gameRound.model');
 const Transaction = require('../models/transaction.model');
+const LedgerEntry = require('../models/ledgerEntry.model');
+const SeedChain = require('../models/seedChain.model');
+const ledgerService = require('../services/ledger.service');
 const config = require('../config/config');
 const provablyFair = require('./provablyFair');
+const amount = require('./amount');
+const currencies = require('./currencies');
+const FilePriceProvider = require('../adapters/filePrice.adapter');
 
 // Connect to MongoDB
 mongoose.connect(config.mongodbUri)
@@ -27,6 +33,9 @@ async function seedDatabase() {
     await Wallet.deleteMany({});
     await GameRound.deleteMany({});
     await Transaction.deleteMany({});
+    await SeedChain.deleteMany({});
+    // The ledger is append-only through the model, so clear it on the collection
+    await LedgerEntry.collection.deleteMany({});
     
     console.log('Cleared existing data');
     
@@ -86,15 +95,17 @@ async function createSampleUsers() {
  * @returns {Promise<Array>} - Array of created wallets
  */
 async function createSampleWallets(users) {
-  const wallets = users.map(user => ({
-    userId: user._id,
-    balances: {
+  const wallets = [];
+  
+  // Opening balances are credited through the ledger so the wallets reconcile
+  for (const user of users) {
+    wallets.push(await ledgerService.openWallet(user._id, {
       BTC: 0.01, // 0.01 BTC
       ETH: 0.5   // 0.5 ETH
-    }
-  }));
+    }));
+  }
   
-  return await Wallet.create(wallets);
+  return wallets;
 }
 
 /**
@@ -103,19 +114,25 @@ async function createSampleWallets(users) {
  */
 async function createSampleGameRounds() {
   const rounds = [];
+  const { seeds, commitment } = provablyFair.generateHashChain(5);
   
   for (let i = 1; i <= 5; i++) {
-    const seed = provablyFair.generateSeed();
-    const hash = provablyFair.generateHash(seed, i);
-    const crashPoint = provablyFair.calculateCrashPoint(hash);
+    const { seed, hash, clientSeed, crashPoint, houseEdge, instantCrashRate, maxCrashValue } =
+      provablyFair.generateRound(seeds[i - 1]);
     
     rounds.push({
+      tableId: config.game.defaultTableId,
       roundNumber: i,
-      startTime: new Date(Date.now() - (i * 60000)), // i minutes ago
-      endTime: new Date(Date.now() - (i * 60000) + 30000), // 30 seconds after start
+      startTime: new Date(Date.now() - ((6 - i) * 60000)), // Oldest round first
+      endTime: new Date(Date.now() - ((6 - i) * 60000) + 30000), // 30 seconds after start
       crashPoint,
       seed,
       hash,
+      clientSeed,
+      houseEdge,
+      instantCrashRate,
+      maxCrashValue,
+      chainCommitment: commitment,
       status: 'completed',
       bets: [],
       cashouts: []
@@ -126,118 +143,90 @@ async function createSampleGameRounds() {
 }
 
 /**
- * Create sample transactions
+ * Create sample bets and cashouts. Stakes and payouts go through the ledger,
+ * so wallet balances, transactions and ledger entries reconcile.
  * @param {Array} users - Array of users
  * @param {Array} rounds - Array of game rounds
  * @returns {Promise<Array>} - Array of created transactions
  */
 async function createSampleTransactions(users, rounds) {
   const transactions = [];
-  const currencies = ['BTC', 'ETH'];
-  const btcPrice = 60000; // Mock BTC price in USD
-  const ethPrice = 3000;  // Mock ETH price in USD
+  
+  // Sample prices come from the price fixture, so seeding works offline
+  const prices = await new FilePriceProvider({ file: config.prices.file }).getPrices(currencies.list());
+  const symbols = currencies.enabledSymbols().filter(symbol => prices[symbol]);
   
   for (const round of rounds) {
     for (const user of users) {
-      const currency = currencies[Math.floor(Math.random() * currencies.length)];
+      const currency = symbols[Math.floor(Math.random() * symbols.length)];
       const usdAmount = Math.floor(Math.random() * 50) + 10; // $10-$60
-      const price = currency === 'BTC' ? btcPrice : ethPrice;
-      const cryptoAmount = usdAmount / price;
+      const price = prices[currency].price;
+      const cryptoAmount = amount.fromUsd(usdAmount, price, currency);
       
-      // Create bet transaction
-      const betTransaction = {
-        userId: user._id,
+      const { transaction: betTransaction } = await ledgerService.debit(user._id, currency, cryptoAmount, {
         usdAmount,
-        cryptoAmount,
-        currency,
         transactionType: 'bet',
         priceAtTime: price,
         gameRoundId: round._id,
         timestamp: round.startTime
-      };
-      
+      });
       transactions.push(betTransaction);
       
-      // Add bet to round
-      round.bets.push({
+      const bet = {
         userId: user._id,
         usdAmount,
         cryptoAmount,
         currency,
-        transactionId: null // Will be updated after transaction is created
-      });
+        transactionId: betTransaction._id,
+        status: 'lost',
+        payout: 0n,
+        profit: -cryptoAmount,
+        settledAt: round.endTime
+      };
       
-      // Randomly determine if user cashed out
-      const didCashOut = Math.random() > 0.3; // 70% chance of cashing out
+      // 70% chance of cashing out, at a multiplier the round reached
+      const cashoutMultiplier = Math.floor(100 * (1 + (round.crashPoint - 1) * Math.random())) / 100;
       
-      if (didCashOut) {
-        const cashoutMultiplier = Math.min(round.crashPoint * Math.random(), round.crashPoint);
-        const cryptoPayout = cryptoAmount * cashoutMultiplier;
+      if (Math.random() > 0.3 && cashoutMultiplier > 1) {
+        const cryptoPayout = amount.applyMultiplier(cryptoAmount, cashoutMultiplier);
         const usdPayout = usdAmount * cashoutMultiplier;
+        const timestamp = new Date(round.startTime.getTime() + Math.random() * 30000); // Random time during round
         
-        // Create cashout transaction
-        const cashoutTransaction = {
-          userId: user._id,
+        const { transaction: cashoutTransaction } = await ledgerService.credit(user._id, currency, cryptoPayout, {
           usdAmount: usdPayout,
-          cryptoAmount: cryptoPayout,
-          currency,
           transactionType: 'cashout',
           priceAtTime: price,
           gameRoundId: round._id,
+          betTransactionId: betTransaction._id,
           multiplier: cashoutMultiplier,
-          timestamp: new Date(round.startTime.getTime() + Math.random() * 30000) // Random time during round
-        };
-        
+          timestamp
+        });
         transactions.push(cashoutTransaction);
         
-        // Add cashout to round
         round.cashouts.push({
           userId: user._id,
           usdAmount: usdPayout,
           cryptoAmount: cryptoPayout,
           currency,
           multiplier: cashoutMultiplier,
-          timestamp: cashoutTransaction.timestamp,
-          transactionId: null // Will be updated after transaction is created
+          timestamp,
+          transactionId: cashoutTransaction._id
+        });
+        
+        Object.assign(bet, {
+          status: 'won',
+          multiplier: cashoutMultiplier,
+          payout: cryptoPayout,
+          profit: cryptoPayout - cryptoAmount
         });
       }
-    }
-    
-    await round.save();
-  }
-  
-  const createdTransactions = await Transaction.create(transactions);
-  
-  // Update transaction IDs in rounds
-  for (const round of rounds) {
-    const roundTransactions = createdTransactions.filter(t => t.gameRoundId.toString() === round._id.toString());
-    
-    // Update bet transaction IDs
-    for (let i = 0; i < round.bets.length; i++) {
-      const betTransaction = roundTransactions.find(t => 
-        t.userId.toString() === round.bets[i].userId.toString() && 
-        t.transactionType === 'bet'
-      );
-      
-      if (betTransaction) {
-        round.bets[i].transactionId = betTransaction._id;
-      }
-    }
-    
-    // Update cashout transaction IDs
-    for (let i = 0; i < round.cashouts.length; i++) {
-      const cashoutTransaction = roundTransactions.find(t => 
-        t.userId.toString() === round.cashouts[i].userId.toString() && 
-        t.transactionType === 'cashout'
-      );
       
-      if (cashoutTransaction) {
-        round.cashouts[i].transactionId = cashoutTransaction._id;
-      }
+      round.bets.push(bet);
     }
     
+    round.settledAt = round.endTime;
     await round.save();
   }
   
-  return createdTransactions;
-}
\ No newline at end of file
+  return transactions;
+}
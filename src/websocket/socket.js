@@ -1,13 +1,41 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config/config');
 const User = require('../models/user.model');
-const GameService = require('../services/game.service');
+const cryptoService = require('../services/crypto.service');
+const walletService = require('../services/wallet.service');
+const currencies = require('../utils/currencies');
+
+/**
+ * Push fresh USD valuations of their wallets to every connected player
+ * @param {Object} io - Socket.IO server instance
+ * @returns {Promise<void>}
+ */
+const pushValuations = async (io) => {
+  if (require('mongoose').connection.readyState !== 1) return;
+  
+  const userIds = new Set();
+  for (const socket of io.of('/').sockets.values()) {
+    userIds.add(socket.user._id.toString());
+  }
+  if (userIds.size === 0) return;
+  
+  const prices = {};
+  for (const [currency, point] of Object.entries(cryptoService.getCachedPoints())) {
+    prices[currency] = point ? point.price : null;
+  }
+  
+  const valuations = await walletService.getValuations(Array.from(userIds), prices);
+  for (const { userId, balances } of valuations) {
+    io.to(`user:${userId}`).emit('wallet:valuation', { balances });
+  }
+};
 
 /**
  * Setup WebSocket server
  * @param {Object} io - Socket.IO server instance
+ * @param {Object} tableManager - Table manager holding every table's game service
  */
-const setupWebSocket = (io) => {
+const setupWebSocket = (io, tableManager) => {
   // Middleware to authenticate WebSocket connections
   io.use(async (socket, next) => {
     try {
@@ -41,32 +69,155 @@ const setupWebSocket = (io) => {
     }
   });
 
+  // Stream every price refresh to the sockets subscribed to the currency, and revalue connected players' wallets
+  cryptoService.on('update', (updates) => {
+    for (const [currency, point] of Object.entries(updates)) {
+      io.to(`prices:${currency}`).emit('prices:update', { currency, price: point.price, timestamp: point.timestamp });
+    }
+    pushValuations(io).catch(error => {
+      console.error('Error pushing wallet valuations:', error.message);
+    });
+  });
+
   // Handle connections
   io.on('connection', (socket) => {
     console.log(`User connected: ${socket.user.username} (${socket.id})`);
     
-    // Send current game state to the connected client
-    const gameService = socket.gameService;
-    if (gameService) {
+    // Every socket of a player receives their wallet valuations
+    socket.join(`user:${socket.user._id}`);
+    
+    /**
+     * Move the socket into a table's room and send it that table's state
+     * @param {string} tableId - Table ID
+     * @returns {Object|null} - The table's game service, or null if it doesn't exist
+     */
+    const joinTable = (tableId) => {
+      const gameService = tableManager.get(tableId);
+      if (!gameService) return null;
+      
+      if (socket.data.tableId) {
+        socket.leave(`table:${socket.data.tableId}`);
+      }
+      socket.join(gameService.room);
+      socket.data.tableId = tableId;
+      
       socket.emit('game:state', gameService.getGameState());
+      return gameService;
+    };
+    
+    // Players start at the default table
+    joinTable(tableManager.defaultTableId);
+    
+    // Tell the player about bets refunded from rounds interrupted by a restart
+    const recovered = [];
+    for (const tableService of tableManager.tables.values()) {
+      recovered.push(...tableService.takeRecoveryNotices(socket.user._id.toString()));
+    }
+    if (recovered.length > 0) {
+      socket.emit('game:recovered', { rounds: recovered });
     }
     
+    // Handle table switches
+    socket.on('table:join', (data = {}, ack) => {
+      const gameService = joinTable(data.tableId);
+      const response = gameService
+        ? { success: true, tableId: data.tableId }
+        : { success: false, message: `Table not found: ${data.tableId}` };
+      
+      if (typeof ack === 'function') {
+        ack(response);
+      } else if (!gameService) {
+        socket.emit('error', { message: response.message });
+      }
+    });
+    
+    /**
+     * Answer a price subscription request, through the acknowledgement callback if there is one
+     * @param {Function} ack - Acknowledgement callback
+     * @param {Object} response - Response
+     */
+    const respond = (ack, response) => {
+      if (typeof ack === 'function') {
+        ack(response);
+      } else if (!response.success) {
+        socket.emit('error', { message: response.message });
+      }
+    };
+    
+    /**
+     * Currencies a subscription request names, every registered currency if it names none
+     * @param {Object} data - Request payload
+     * @returns {Array<string>|null} - Currency symbols, or null if one is unknown
+     */
+    const requestedCurrencies = (data) => {
+      const requested = data && Array.isArray(data.currencies)
+        ? data.currencies.map(currency => String(currency).toUpperCase())
+        : currencies.symbols();
+      return requested.every(currencies.isKnown) ? requested : null;
+    };
+    
+    /**
+     * Currencies the socket is subscribed to
+     * @returns {Array<string>} - Currency symbols
+     */
+    const subscribedCurrencies = () => {
+      return Array.from(socket.rooms)
+        .filter(room => room.startsWith('prices:'))
+        .map(room => room.slice('prices:'.length));
+    };
+    
+    // Handle price subscriptions
+    socket.on('prices:subscribe', (data = {}, ack) => {
+      const requested = requestedCurrencies(data);
+      if (!requested) {
+        respond(ack, { success: false, message: 'Unsupported currency' });
+        return;
+      }
+      
+      const latest = cryptoService.getCachedPoints();
+      for (const currency of requested) {
+        socket.join(`prices:${currency}`);
+        // Start the subscriber off with the price as it stands
+        if (latest[currency]) {
+          socket.emit('prices:update', { currency, price: latest[currency].price, timestamp: latest[currency].timestamp });
+        }
+      }
+      
+      respond(ack, { success: true, currencies: subscribedCurrencies() });
+    });
+    
+    socket.on('prices:unsubscribe', (data = {}, ack) => {
+      const requested = requestedCurrencies(data);
+      if (!requested) {
+        respond(ack, { success: false, message: 'Unsupported currency' });
+        return;
+      }
+      
+      for (const currency of requested) {
+        socket.leave(`prices:${currency}`);
+      }
+      
+      respond(ack, { success: true, currencies: subscribedCurrencies() });
+    });
+    
     // Handle cashout requests
-    socket.on('game:cashout', async () => {
+    socket.on('game:cashout', async (data = {}) => {
+      // Cashouts are priced at the moment the request arrived, not when it is processed
+      const receivedAt = Date.now();
+      
       try {
         if (!socket.user) {
           socket.emit('error', { message: 'Authentication required' });
           return;
         }
-        // Use the singleton instance
-        const GameService = require('../services/game.service');
-        const gameService = GameService.instance;
+        // Cash out at the requested table, or the one the socket has joined
+        const gameService = tableManager.get((data && data.tableId) || socket.data.tableId);
         if (!gameService) {
           socket.emit('error', { message: 'Game service not available' });
           return;
         }
         // Process cashout
-        const result = await gameService.cashOut(socket.user._id.toString());
+        const result = await gameService.cashOut(socket.user._id.toString(), receivedAt);
         // Send confirmation to the client
         socket.emit('game:cashout:success', result);
       } catch (error) {
@@ -75,6 +226,29 @@ const setupWebSocket = (io) => {
       }
     });
     
+    // Handle bet cancellations
+    socket.on('game:bet:cancel', async (data = {}) => {
+      try {
+        if (!socket.user) {
+          socket.emit('error', { message: 'Authentication required' });
+          return;
+        }
+        // Cancel at the requested table, or the one the socket has joined
+        const gameService = tableManager.get((data && data.tableId) || socket.data.tableId);
+        if (!gameService) {
+          socket.emit('error', { message: 'Game service not available' });
+          return;
+        }
+        // Cancel the bet and refund the stake
+        const result = await gameService.cancelBet(socket.user._id.toString());
+        // Send confirmation to the client
+        socket.emit('game:bet:cancel:success', result);
+      } catch (error) {
+        console.error('Cancel bet error:', error.message);
+        socket.emit('error', { message: error.message });
+      }
+    });
+    
     // Handle disconnections
     socket.on('disconnect', () => {
       console.log(`User disconnected: ${socket.user.username} (${socket.id})`);
@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Decimal128 } = require('mongoose').Types;
+const amount = require('../src/utils/amount');
+
+describe('amount', () => {
+  describe('parseDecimal', () => {
+    it('parses decimals without going through floats', () => {
+      assert.equal(amount.parseDecimal('1.25', 8), 125000000n);
+      assert.equal(amount.parseDecimal(0.1, 18), 100000000000000000n);
+      assert.equal(amount.parseDecimal(1e-7, 8), 10n);
+      assert.equal(amount.parseDecimal('-0.5', 2), -50n);
+    });
+
+    it('rounds digits beyond the precision as asked', () => {
+      assert.equal(amount.parseDecimal('0.123456789', 8), 12345678n);
+      assert.equal(amount.parseDecimal('0.123456781', 8, 'up'), 12345679n);
+      assert.equal(amount.parseDecimal('0.123456785', 8, 'nearest'), 12345679n);
+      assert.equal(amount.parseDecimal('0.123456784', 8, 'nearest'), 12345678n);
+    });
+
+    it('rejects anything that is not a decimal number', () => {
+      for (const value of ['abc', '', '.', '1.2.3', '2abc', NaN, Infinity]) {
+        assert.throws(() => amount.parseDecimal(value, 8), /Invalid amount/);
+      }
+    });
+  });
+
+  describe('format', () => {
+    it('formats base units in whole coins without trailing zeros', () => {
+      assert.equal(amount.format(50000n, 'BTC'), '0.0005');
+      assert.equal(amount.format(100000000n, 'BTC'), '1');
+      assert.equal(amount.format(-1n, 'BTC'), '-0.00000001');
+      assert.equal(amount.format(10n ** 18n + 1n, 'ETH'), '1.000000000000000001');
+    });
+
+    it('reads Decimal128 and integer strings', () => {
+      assert.equal(amount.format(Decimal128.fromString('123'), 'BTC'), '0.00000123');
+      assert.equal(amount.format('250000000', 'BTC'), '2.5');
+    });
+
+    it('round-trips with toBaseUnits', () => {
+      for (const value of ['0.00000001', '21000000', '3.14159265']) {
+        assert.equal(amount.format(amount.toBaseUnits(value, 'BTC'), 'BTC'), value);
+      }
+    });
+
+    it('rejects unknown currencies', () => {
+      assert.throws(() => amount.format(1n, 'DOGE'), /Unsupported currency: DOGE/);
+    });
+  });
+
+  describe('conversions', () => {
+    it('converts USD to base units, rounding down', () => {
+      assert.equal(amount.fromUsd(30, 60000, 'BTC'), 50000n);
+      assert.equal(amount.fromUsd(1, 3, 'BTC'), 33333333n);
+    });
+
+    it('refuses a price of zero', () => {
+      assert.throws(() => amount.fromUsd(10, 0, 'BTC'), /Invalid BTC price/);
+    });
+
+    it('converts between currencies at their prices, rounding down', () => {
+      // 0.1 BTC at $60,000 is $6,000, or 2 ETH at $3,000
+      assert.equal(amount.convert(10000000n, 'BTC', 60000, 'ETH', 3000), 2n * 10n ** 18n);
+    });
+
+    it('pays a stake at a multiplier, rounding down', () => {
+      assert.equal(amount.applyMultiplier(50000n, 2.35), 117500n);
+      assert.equal(amount.applyMultiplier(3n, 1.5), 4n);
+      assert.equal(amount.applyMultiplier(100n, 1.005), 100n);
+    });
+  });
+
+  describe('serialize', () => {
+    it('turns amounts of objects with a currency into decimal strings', () => {
+      assert.deepEqual(
+        amount.serialize({ currency: 'BTC', cryptoAmount: 50000n, usdAmount: 30, bets: [{ currency: 'ETH', payout: 10n ** 18n }] }),
+        { currency: 'BTC', cryptoAmount: '0.0005', usdAmount: 30, bets: [{ currency: 'ETH', payout: '1' }] }
+      );
+    });
+  });
+});
@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const csv = require('../src/utils/csv');
+
+describe('csv', () => {
+  it('leaves plain fields alone and empties null and undefined', () => {
+    assert.equal(csv.field('bet'), 'bet');
+    assert.equal(csv.field(1.5), '1.5');
+    assert.equal(csv.field(null), '');
+    assert.equal(csv.field(undefined), '');
+  });
+
+  it('writes dates as ISO 8601', () => {
+    assert.equal(csv.field(new Date(0)), '1970-01-01T00:00:00.000Z');
+  });
+
+  it('quotes fields holding a comma, quote or line break, doubling quotes', () => {
+    assert.equal(csv.field('a,b'), '"a,b"');
+    assert.equal(csv.field('say "hi"'), '"say ""hi"""');
+    assert.equal(csv.field('line\nbreak'), '"line\nbreak"');
+    assert.equal(csv.field('cr\rlf'), '"cr\rlf"');
+  });
+
+  it('defuses fields a spreadsheet would run as a formula', () => {
+    assert.equal(csv.field('=SUM(A1:A2)'), "'=SUM(A1:A2)");
+    assert.equal(csv.field('+cmd'), "'+cmd");
+    assert.equal(csv.field('@import'), "'@import");
+    assert.equal(csv.field('-1+1,x'), `"'-1+1,x"`);
+  });
+
+  it('keeps negative and signed numbers as numbers', () => {
+    assert.equal(csv.field('-0.0005'), '-0.0005');
+    assert.equal(csv.field(-2), '-2');
+    assert.equal(csv.field('+3'), '+3');
+  });
+
+  it('ends rows with CRLF', () => {
+    assert.equal(csv.row(['id', 'note, with comma', null]), 'id,"note, with comma",\r\n');
+  });
+});
@@ -0,0 +1,234 @@
+const { describe, it, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const db = require('./helpers/db');
+const GameService = require('../src/services/game.service');
+const ledgerService = require('../src/services/ledger.service');
+const cryptoService = require('../src/services/crypto.service');
+const riskService = require('../src/services/risk.service');
+const Wallet = require('../src/models/wallet.model');
+const Transaction = require('../src/models/transaction.model');
+const GameRound = require('../src/models/gameRound.model');
+const multiplierCurve = require('../src/utils/multiplierCurve');
+const provablyFair = require('../src/utils/provablyFair');
+const amount = require('../src/utils/amount');
+
+// Socket.IO stand-in; the tests only look at the database
+const io = { to: () => ({ emit: () => {} }) };
+
+/**
+ * An open BTC bet
+ * @param {bigint} cryptoAmount - Stake in satoshi
+ * @param {Object} [fields] - Other bet fields
+ * @returns {Object} - Bet
+ */
+const btcBet = (cryptoAmount, fields = {}) => ({
+  currency: 'BTC',
+  cryptoAmount,
+  usdAmount: 60,
+  autoCashoutAt: null,
+  maxProfitAt: 1000,
+  transactionId: 'tx',
+  ...fields
+});
+
+describe('game service exposure', () => {
+  let game;
+
+  beforeEach(() => {
+    game = new GameService(io, { id: 'exposure-test' });
+    game.exposureLimits = { BTC: 1000000n }; // 0.01 BTC
+  });
+
+  it('cashes every open bet out where the round reaches its exposure limit', () => {
+    game.activeBets.set('a', btcBet(100000n));
+    game.activeBets.set('b', btcBet(100000n));
+    // 0.002 BTC staked may win 0.01 BTC: at 6.00x
+    assert.equal(game.getExposureLimitMultiplier('BTC'), 6);
+    assert.equal(game.getExposureLimitMultiplier('BTC', btcBet(300000n)), 3);
+    assert.equal(game.getExposureLimitMultiplier('ETH'), Infinity);
+  });
+
+  it('counts profit already paid against the limit', () => {
+    game.activeBets.set('a', btcBet(100000n, { cashoutMultiplier: 3 }));
+    game.cashedOut.add('a');
+    game.activeBets.set('b', btcBet(100000n));
+    // 0.002 BTC paid leaves 0.008 BTC for the open bet: at 9.00x
+    assert.equal(game.getExposureLimitMultiplier('BTC'), 9);
+  });
+
+  it('measures the most a round can lose from each bet\'s cap, up to its limit', () => {
+    game.activeBets.set('a', btcBet(100000n, { autoCashoutAt: 2 }));
+    game.activeBets.set('b', btcBet(100000n, { maxProfitAt: 4 }));
+    game.activeBets.set('c', btcBet(100000n, { cashoutMultiplier: 1.5 }));
+    assert.equal(game.getRoundExposure('BTC'), 100000n + 300000n + 50000n);
+    assert.equal(game.getRoundExposure('BTC', btcBet(1000000n)), 1000000n);
+  });
+
+  it('cashes a bet out at its lowest target', () => {
+    game.activeBets.set('a', btcBet(100000n, { autoCashoutAt: 8, maxProfitAt: 7 }));
+    assert.deepEqual(game.getCashoutTarget(game.activeBets.get('a')), { multiplier: 7, reason: 'max_profit' });
+
+    game.activeBets.set('b', btcBet(100000n, { autoCashoutAt: 2 }));
+    assert.deepEqual(game.getCashoutTarget(game.activeBets.get('b')), { multiplier: 2, reason: 'auto' });
+  });
+
+  it('never cashes out a bet whose cancellation is being refunded', async () => {
+    game.isGameRunning = true;
+    game.roundPhase = 'running';
+    game.crashTime = Date.now() + 60000;
+    game.activeBets.set('a', btcBet(100000n, { autoCashoutAt: 1.5, cancelling: true }));
+
+    assert.equal(game.getCashoutTarget(game.activeBets.get('a')), null);
+    game.processAutoCashouts(2);
+    assert.equal(game.pendingCashouts.size, 0);
+    await assert.rejects(game.cashOut('a'), /No active bet found/);
+  });
+
+  it('voids the round in progress when the table is stopped', async () => {
+    game.roundPhase = 'running';
+    game.isGameRunning = true;
+    game.currentRound = { roundNumber: 1, crashPoint: 5, bets: [{ userId: 'a', cryptoAmount: 100000n, status: 'pending' }], cashouts: [] };
+    game.activeBets.set('a', btcBet(100000n));
+    game.reportOpenExposure();
+    assert.equal(riskService.getOpenExposure('BTC'), 1000000n);
+
+    const refundActiveBet = mock.method(game, 'refundActiveBet', async userId => ({ userId }));
+    mock.method(game, 'saveRound', async () => false);
+    const voided = await game.stopGame();
+
+    assert.equal(voided.reason, 'table_stopped');
+    assert.equal(refundActiveBet.mock.callCount(), 1);
+    assert.equal(game.roundPhase, 'stopped');
+    assert.equal(game.currentRound.status, 'voided');
+    assert.equal(game.currentRound.bets[0].status, 'refunded');
+    assert.equal(riskService.getOpenExposure('BTC'), 0n);
+  });
+});
+
+describe('game service seed chain', () => {
+  // Short chains, so running one out is quick
+  const table = { id: 'chain-test', provablyFair: { chainLength: 2, clientSeed: 'salt' } };
+
+  it('publishes a chain before its first seed and the next one with its last seed', async () => {
+    const chains = [];
+    const game = new GameService({ to: () => ({ emit: (event, data) => event === 'game:chain' && chains.push(data) }) }, table);
+
+    await game.prepareSeedChain();
+    assert.equal(chains.length, 1);
+    assert.equal(chains[0].clientSeed, 'salt');
+
+    const first = await game.nextServerSeed();
+    const second = await game.nextServerSeed();
+    assert.equal(provablyFair.hashSeed(first.seed), chains[0].chainCommitment);
+    assert.equal(provablyFair.hashSeed(second.seed), first.seed);
+    assert.equal(second.chainCommitment, chains[0].chainCommitment);
+
+    // The next chain is out before a round is played from it
+    assert.equal(chains.length, 2);
+    assert.equal(game.chainCommitment, chains[1].chainCommitment);
+    assert.notEqual(chains[1].chainCommitment, chains[0].chainCommitment);
+  });
+
+  it('requires a salt in production', () => {
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      assert.throws(() => new GameService(io, { ...table, provablyFair: { chainLength: 2, clientSeed: '' } }), /PROVABLY_FAIR_CLIENT_SEED/);
+      assert.doesNotThrow(() => new GameService(io, table));
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+    }
+  });
+});
+
+describe('game service', { skip: db.skip }, () => {
+  let game;
+
+  before(async () => {
+    await db.connect();
+    // A fixed price, so the stake is known: $60 at $60,000 is 100,000 satoshi
+    mock.method(cryptoService, 'usdToCrypto', async () => ({ cryptoAmount: 100000n, price: 60000, priceSampleId: null }));
+  });
+
+  after(async () => {
+    if (game) await game.stopGame();
+    mock.restoreAll();
+    await db.disconnect();
+  });
+
+  it('pays a bet out once under parallel cashouts', async () => {
+    const userId = new mongoose.Types.ObjectId().toString();
+    await ledgerService.openWallet(userId, { BTC: 0.01 });
+
+    game = new GameService(io, { id: 'cashout-test' });
+    await game.startBettingPhase();
+    clearInterval(game.bettingCountdownTimer);
+    await game.placeBet(userId, 60, 'BTC', 1.5);
+    game.currentRound.crashPoint = 50;
+    await game.startRound();
+
+    // Past the auto cashout target, so the server's cashout and the player's all race for the bet
+    const receivedAt = game.roundStartTime + multiplierCurve.elapsedForMultiplier(2, game.growthRate);
+    game.processAutoCashouts(2);
+    const manual = Array.from({ length: 5 }, () => game.cashOut(userId, receivedAt));
+    await Promise.allSettled([...manual, ...game.pendingCashouts]);
+
+    const cashouts = await Transaction.find({ userId, transactionType: 'cashout' }).lean();
+    assert.equal(cashouts.length, 1);
+    assert.equal(amount.toBigInt(cashouts[0].cryptoAmount), 150000n);
+
+    const wallet = await Wallet.findOne({ userId });
+    assert.equal(wallet.getBalance('BTC'), 1000000n - 100000n + 150000n);
+
+    const round = await GameRound.findById(game.currentRound._id).lean();
+    assert.equal(round.cashouts.length, 1);
+    assert.equal(round.bets[0].status, 'won');
+  });
+
+  it('resumes the stored seed chain after a restart', async () => {
+    const table = { id: 'chain-resume-test', provablyFair: { chainLength: 5, clientSeed: 'salt' } };
+    const before = new GameService(io, table);
+    const played = await before.nextServerSeed();
+
+    const restarted = new GameService(io, table);
+    await restarted.prepareSeedChain();
+    assert.equal(restarted.chainCommitment, before.chainCommitment);
+
+    // The next seed of the same chain, never the one already played
+    const next = await restarted.nextServerSeed();
+    assert.equal(provablyFair.hashSeed(next.seed), played.seed);
+  });
+
+  it('refunds a bet placed again after a cancel when recovering the round', async () => {
+    const userId = new mongoose.Types.ObjectId().toString();
+    await ledgerService.openWallet(userId, { BTC: 0.01 });
+
+    const interrupted = new GameService(io, { id: 'recovery-test' });
+    await interrupted.startBettingPhase();
+    clearInterval(interrupted.bettingCountdownTimer);
+    await interrupted.placeBet(userId, 60, 'BTC');
+    await interrupted.cancelBet(userId);
+    await interrupted.placeBet(userId, 60, 'BTC');
+
+    // A new process finds the round still open
+    const restarted = new GameService(io, { id: 'recovery-test' });
+    await restarted.recoverInterruptedRounds();
+
+    const bets = await Transaction.find({ userId, transactionType: 'bet' }).lean();
+    const refunds = await Transaction.find({ userId, transactionType: 'refund' }).lean();
+    assert.equal(bets.length, 2);
+    assert.deepEqual(
+      refunds.map(refund => refund.betTransactionId.toString()).sort(),
+      bets.map(bet => bet._id.toString()).sort()
+    );
+
+    const wallet = await Wallet.findOne({ userId });
+    assert.equal(wallet.getBalance('BTC'), 1000000n);
+
+    const round = await GameRound.findById(interrupted.currentRound._id).lean();
+    assert.equal(round.status, 'voided');
+    assert.equal(round.bets.length, 1);
+    assert.equal(round.bets[0].status, 'refunded');
+  });
+});
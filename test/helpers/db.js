@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// The ledger needs transactions, so tests run against a replica set, e.g.
+// mongodb://localhost:27017/crypto-crash-test?replicaSet=rs0. The database is dropped.
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI;
+
+/**
+ * Test database connection
+ */
+const db = {
+  // Reason to skip database tests, false when they can run
+  skip: MONGODB_TEST_URI ? false : 'MONGODB_TEST_URI is not set to a MongoDB replica set',
+
+  /**
+   * Connect to an empty test database with every collection and index in place
+   * @returns {Promise<void>}
+   */
+  connect: async () => {
+    await mongoose.connect(MONGODB_TEST_URI, { serverSelectionTimeoutMS: 5000 });
+    await mongoose.connection.dropDatabase();
+
+    // Collections can't be created by the first write of a transaction on older servers
+    await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+  },
+
+  /**
+   * Drop the test database and disconnect
+   * @returns {Promise<void>}
+   */
+  disconnect: async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  }
+};
+
+module.exports = db;
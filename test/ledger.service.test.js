@@ -0,0 +1,42 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const db = require('./helpers/db');
+const ledgerService = require('../src/services/ledger.service');
+const Wallet = require('../src/models/wallet.model');
+const LedgerEntry = require('../src/models/ledgerEntry.model');
+const amount = require('../src/utils/amount');
+
+describe('ledger service', { skip: db.skip }, () => {
+  before(db.connect);
+  after(db.disconnect);
+
+  it('never overdraws a wallet under parallel debits', async () => {
+    const userId = new mongoose.Types.ObjectId().toString();
+    await ledgerService.openWallet(userId, { BTC: 0.00001 }); // 1,000 satoshi
+
+    // 25 debits of 100 satoshi against a balance that covers 10
+    const results = await Promise.allSettled(Array.from({ length: 25 }, () => (
+      ledgerService.debit(userId, 'BTC', 100n, { transactionType: 'bet', usdAmount: 0.06 })
+    )));
+
+    const debited = results.filter(result => result.status === 'fulfilled');
+    const refused = results.filter(result => result.status === 'rejected');
+    assert.equal(debited.length, 10);
+    for (const { reason } of refused) {
+      assert.equal(reason.message, 'Insufficient BTC balance');
+    }
+
+    const wallet = await Wallet.findOne({ userId });
+    assert.equal(wallet.getBalance('BTC'), 0n);
+
+    // No debit ever saw the balance go below zero
+    const entries = await LedgerEntry.find({ userId, currency: 'BTC' }).lean();
+    for (const entry of entries) {
+      assert.ok(amount.toBigInt(entry.balanceAfter) >= 0n);
+    }
+
+    const report = await ledgerService.reconcile({ userId });
+    assert.equal(report.ok, true);
+  });
+});
@@ -0,0 +1,31 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const multiplierCurve = require('../src/utils/multiplierCurve');
+
+const GROWTH_RATE = 0.00006;
+
+describe('multiplierCurve', () => {
+  it('starts at 1.00x', () => {
+    assert.equal(multiplierCurve.multiplierAt(0, GROWTH_RATE), 1.0);
+    assert.equal(multiplierCurve.multiplierAt(-500, GROWTH_RATE), 1.0);
+  });
+
+  it('grows exponentially, floored to two decimals', () => {
+    // e^(0.00006 * 11552) = 1.99998...
+    assert.equal(multiplierCurve.multiplierAt(11552, GROWTH_RATE), 1.99);
+    assert.equal(multiplierCurve.multiplierAt(11553, GROWTH_RATE), 2.0);
+  });
+
+  it('finds the first moment the curve reaches a multiplier', () => {
+    for (const multiplier of [1.01, 1.5, 2, 10, 100]) {
+      const elapsed = multiplierCurve.elapsedForMultiplier(multiplier, GROWTH_RATE);
+      assert.ok(multiplierCurve.multiplierAt(elapsed, GROWTH_RATE) >= multiplier);
+      assert.ok(multiplierCurve.multiplierAt(elapsed - 1, GROWTH_RATE) < multiplier);
+    }
+  });
+
+  it('reaches multipliers of 1.00x and below straight away', () => {
+    assert.equal(multiplierCurve.elapsedForMultiplier(1, GROWTH_RATE), 0);
+    assert.equal(multiplierCurve.elapsedForMultiplier(0.5, GROWTH_RATE), 0);
+  });
+});
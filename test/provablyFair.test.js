@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const provablyFair = require('../src/utils/provablyFair');
+
+const options = { houseEdge: 0.01, instantCrashRate: 0, maxCrashValue: 100 };
+
+/**
+ * A game hash whose first two 52-bit blocks are given
+ * @param {string} first - 13 hex characters read as the crash roll
+ * @param {string} [second] - 13 hex characters read as the instant crash roll
+ * @returns {string} - 64 hex characters
+ */
+const gameHash = (first, second = 'f'.repeat(13)) => (first + second).padEnd(64, '0');
+
+describe('provablyFair', () => {
+  describe('generateHashChain', () => {
+    it('plays seeds so each one hashes to the seed of the round before', () => {
+      const { seeds, commitment } = provablyFair.generateHashChain(50, 'terminal');
+
+      assert.equal(seeds.length, 50);
+      assert.equal(seeds[49], 'terminal');
+      assert.equal(commitment, provablyFair.hashSeed(seeds[0]));
+      for (let i = 1; i < seeds.length; i++) {
+        assert.equal(provablyFair.hashSeed(seeds[i]), seeds[i - 1]);
+      }
+    });
+
+    it('builds the same chain from the same terminal seed', () => {
+      assert.deepEqual(provablyFair.generateHashChain(5, 'seed'), provablyFair.generateHashChain(5, 'seed'));
+    });
+  });
+
+  describe('generateGameHash', () => {
+    it('is HMAC-SHA256 of the client seed keyed by the server seed', () => {
+      const expected = crypto.createHmac('sha256', 'server').update('salt').digest('hex');
+      assert.equal(provablyFair.generateGameHash('server', 'salt'), expected);
+      assert.notEqual(provablyFair.generateGameHash('server', 'other salt'), expected);
+    });
+  });
+
+  describe('calculateCrashPoint', () => {
+    it('follows the inverse distribution less the house edge', () => {
+      assert.equal(provablyFair.calculateCrashPoint(gameHash('0000000000000'), options), 1.0);
+      assert.equal(provablyFair.calculateCrashPoint(gameHash('8000000000000'), options), 1.98);
+      assert.equal(provablyFair.calculateCrashPoint(gameHash('c000000000000'), options), 3.96);
+      assert.equal(provablyFair.calculateCrashPoint(gameHash('8000000000000'), { ...options, houseEdge: 0 }), 2.0);
+    });
+
+    it('caps crash points at the maximum', () => {
+      assert.equal(provablyFair.calculateCrashPoint(gameHash('fffffffffffff'), options), 100);
+      assert.equal(provablyFair.calculateCrashPoint(gameHash('fffffffffffff'), { ...options, maxCrashValue: 10 }), 10);
+    });
+
+    it('busts the instant crash share of rounds at 1.00x', () => {
+      const hash = gameHash('c000000000000', '0000000000001');
+      assert.equal(provablyFair.calculateCrashPoint(hash, { ...options, instantCrashRate: 0.01 }), 1.0);
+      assert.equal(provablyFair.calculateCrashPoint(hash, options), 3.96);
+    });
+  });
+
+  describe('verifyCrashPoint', () => {
+    it('accepts a round generated from its seed', () => {
+      const round = provablyFair.generateRound('seed', 'salt', options);
+      assert.equal(provablyFair.verifyCrashPoint(round.seed, round.hash, round.crashPoint, 'salt', options), true);
+    });
+
+    it('rejects a seed that does not match the published hash, another salt or another crash point', () => {
+      const round = provablyFair.generateRound('seed', 'salt', options);
+      assert.equal(provablyFair.verifyCrashPoint('other seed', round.hash, round.crashPoint, 'salt', options), false);
+      assert.equal(provablyFair.verifyCrashPoint(round.seed, round.hash, round.crashPoint + 0.01, 'salt', options), false);
+
+      // 'seed' crashes at 1.53x with 'salt' and at 1.07x with 'other salt'
+      assert.equal(provablyFair.verifyCrashPoint(round.seed, round.hash, round.crashPoint, 'other salt', options), false);
+    });
+  });
+});
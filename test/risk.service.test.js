@@ -0,0 +1,54 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const riskService = require('../src/services/risk.service');
+
+// The built-in registry starts BTC at a 10 BTC bankroll; open rounds may lose 2% of it
+const BANKROLL = 1000000000n;
+
+describe('risk service', () => {
+  beforeEach(() => {
+    riskService.bankroll.BTC = BANKROLL;
+    riskService.openExposure.clear();
+  });
+
+  it('limits a round to a share of the bankroll, rounded down', () => {
+    assert.equal(riskService.getExposureLimit('BTC', 0.01), 10000000n);
+    assert.equal(riskService.getExposureLimit('BTC', 0.000001), 1000n);
+  });
+
+  it('allows no exposure once the bankroll is gone', () => {
+    riskService.bankroll.BTC = -1n;
+    assert.equal(riskService.getExposureLimit('BTC', 0.01), 0n);
+  });
+
+  it('moves the bankroll with every bet and payout', () => {
+    riskService.recordBet('BTC', 500n);
+    riskService.recordPayout('BTC', 1200n);
+    assert.equal(riskService.getBankroll('BTC'), BANKROLL - 700n);
+  });
+
+  it('adds up the open exposure of every table', () => {
+    riskService.setOpenExposure('main', { BTC: 5n, ETH: 7n });
+    riskService.setOpenExposure('fast', { BTC: 3n });
+    assert.equal(riskService.getOpenExposure('BTC'), 8n);
+    assert.equal(riskService.getOpenExposure('BTC', 'main'), 3n);
+    assert.equal(riskService.getOpenExposure('ETH'), 7n);
+  });
+
+  it('takes exposure only while all tables together stay under the limit', () => {
+    riskService.setOpenExposure('main', { BTC: 15000000n });
+
+    assert.equal(riskService.canTakeExposure('fast', 'BTC', 5000000n), true);
+    assert.equal(riskService.canTakeExposure('fast', 'BTC', 5000001n), false);
+    // A table's own previous report is replaced, not added to
+    assert.equal(riskService.canTakeExposure('main', 'BTC', 20000000n), true);
+  });
+
+  it('frees a table\'s exposure once its round is over', () => {
+    riskService.setOpenExposure('main', { BTC: 20000000n });
+    assert.equal(riskService.canTakeExposure('fast', 'BTC', 1n), false);
+
+    riskService.setOpenExposure('main', {});
+    assert.equal(riskService.canTakeExposure('fast', 'BTC', 1n), true);
+  });
+});